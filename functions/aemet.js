@@ -1,10 +1,25 @@
+import { airportKey } from './airports.js';
+import { getDataAgeLimits, isOlderThan } from './dataAge.js';
+
 // --- AEMET API Constants ---
-const COD_ROBLE = "19239";
-const ID_EMA_PANTANO_VADO = "3103";
-const ID_EMA_GUADA = "3168D"
+// The municipality comes from the airport profile (sources.aemet), the stations from the inventory
 const AEMET_API = "https://opendata.aemet.es/opendata";
 const ENDPOINT_PRED_MUN = "/api/prediccion/especifica/municipio/horaria/";
 const ENDPOINT_DATA_IDEMA = "/api/observacion/convencional/datos/estacion/";
+const ENDPOINT_INVENTORY = "/api/valores/climatologicos/inventarioestaciones/todasestaciones";
+
+// The station inventory hardly ever changes, the ranking built from it is kept this long
+const STATION_RANKING_REFRESH_DAYS = 7;
+// Time kept from the provider timeout for the processing after the last station batch
+const STATION_QUERY_MARGIN_MS = 1500;
+
+// Used when the airport profile doesn't define its own 'station_selection' (sources.aemet)
+const DEFAULT_STATION_SELECTION = {
+    max_stations: 3,          // Candidates queried at a time, best ranked first; more while a required field is missing
+    max_station_queries: 12,  // Upper bound of candidates queried per update (two AEMET requests each)
+    max_distance_km: 50,      // Stations further away don't represent the field
+    km_per_100m_elevation: 2  // Elevation difference from the field, counted as extra distance
+};
 
 /**
  * Handles the two-step AEMET API fetch: initial URL -> final data URL.
@@ -12,12 +27,13 @@ const ENDPOINT_DATA_IDEMA = "/api/observacion/convencional/datos/estacion/";
  * and returns null instead of throwing an exception.
  * * @param {string} initialUrl The first API endpoint to call.
  * @param {object} headers Request headers including the API key.
+ * @param {Function} [fetchFn] The fetch implementation (a capturing one records the responses).
  * @returns {Promise<object | null>} The final JSON data payload, or null on failure.
  */
-async function fetchAemetJson(initialUrl, headers) {
+async function fetchAemetJson(initialUrl, headers, fetchFn = fetch) {
     try {
         // 1. Initial API Call (Get the Data URL)
-        let ret = await fetch(initialUrl, { headers });
+        let ret = await fetchFn(initialUrl, { headers });
         if (!ret.ok) {
             console.error(`AEMET Initial API call failed with status: ${ret.status}. URL: ${initialUrl}`);
             return null;
@@ -33,7 +49,7 @@ async function fetchAemetJson(initialUrl, headers) {
         }
 
         // 2. Final Data Fetch
-        let retFinal = await fetch(finalUrl);
+        let retFinal = await fetchFn(finalUrl);
         if (!retFinal.ok) {
             console.error(`AEMET Data fetch failed with status: ${retFinal.status}. Final URL: ${finalUrl}`);
             return null;
@@ -54,12 +70,16 @@ async function fetchAemetJson(initialUrl, headers) {
  * ⚠️ You must implement the logic inside this function to correctly map AEMET data
  * to ATIS properties (wind, visibility, altimeter, etc.) 
  * @param {object} predictionData JSON data from the municipal prediction endpoint.
- * @param {object} observationData JSON data from the conventional observation endpoint.
+ * @param {Array<{station: object, data: object}>} stationObservations JSON data from the conventional observation
+ * endpoint for each candidate station, best ranked first (see rankStations).
+ * @param {object} KVStore The key-value store interface (e.g., Workers KV).
+ * @param {object} airport The airport profile.
  * @returns {object} Data structured for the ATISReport constructor.
  */
-function processAemetData(predictionData, observationDataVado, observationDataGuada, KVStore) {
+function processAemetData(predictionData, stationObservations, KVStore, airport) {
     let reportData = {}
-    if (predictionData == null && observationDataVado == null && observationDataGuada == null) {
+    const observations = stationObservations.filter(candidate => candidate.data != null);
+    if (predictionData == null && observations.length === 0) {
         reportData = { ...returnNullObject() }
         return reportData
     }
@@ -67,20 +87,20 @@ function processAemetData(predictionData, observationDataVado, observationDataGu
     const now = new Date();
     reportData.time = now.getUTCHours().toString().padStart(2, '0') +
         now.getUTCMinutes().toString().padStart(2, '0');
-    // EMA GUADA has much more information
-    if (observationDataGuada != null) {
-        let observation = getLatestObservationData(observationDataGuada, reportData)
-        // Update observation in KV Store
-        KVStore.put("dataGuada", JSON.stringify(observation))
-    }
-    // EMA VADO to overwritte the information to a more similar location
-    if (observationDataVado != null) {
-        let observation = getLatestObservationData(observationDataVado, reportData)
-        KVStore.put("dataVado", JSON.stringify(observation))
-    }
+    // Each field comes from the best ranked station with a fresh observation of it
+    const maxAgeMinutes = getDataAgeLimits(airport).reject_observation_after_minutes;
+    const latestObservations = stationObservations.map(candidate => {
+        const observation = candidate.data != null ? getLatestObservation(candidate.data, maxAgeMinutes) : null;
+        // Update observation in KV Store (stale observations are discarded, not cached)
+        if (observation) {
+            KVStore.put(airportKey(airport, `station:${candidate.station.id}`), JSON.stringify(observation))
+        }
+        return { station: candidate.station, observation: observation };
+    });
+    applyStationObservations(latestObservations, reportData);
     if (predictionData != null) {
         let prediction = getSkyState(predictionData, reportData)
-        KVStore.put("prediction", JSON.stringify(prediction))
+        KVStore.put(airportKey(airport, "prediction"), JSON.stringify(prediction))
     }
 
     return reportData
@@ -88,7 +108,7 @@ function processAemetData(predictionData, observationDataVado, observationDataGu
 
 function returnNullObject() {
     return {
-        // --- Data populated by getLatestObservationData ---
+        // --- Data populated by applyStationObservations ---
         wind_direction: null,
         wind_speed: null,
         gust_direction: null,
@@ -107,26 +127,75 @@ function returnNullObject() {
     };
 }
 
-function getLatestObservationData(observationData, reportData) {
+/**
+ * Returns the station observation closest to now.
+ * @param {Array<object>} observationData - The station observations returned by AEMET.
+ * @param {number} maxAgeMinutes - Observations older than this are discarded.
+ * @returns {object | null} The observation, or null if there is none recent enough.
+ */
+function getLatestObservation(observationData, maxAgeMinutes) {
     const latestObservation = findClosestObservation(observationData)
-    reportData.wind_direction = latestObservation.dv
-    reportData.wind_speed = convertMpsToKnots(latestObservation.vv)
-    reportData.gust_direction = latestObservation.dmax
-    reportData.gust_speed = convertMpsToKnots(latestObservation.vmax)
-    if (latestObservation.vis) {
-        reportData.visibility = latestObservation.vis
+    if (!latestObservation || isOlderThan(latestObservation.fint, maxAgeMinutes)) {
+        console.warn(`AEMET observation of ${latestObservation ? latestObservation.fint : "unknown time"} discarded: older than ${maxAgeMinutes} minutes.`)
+        return null
     }
-    reportData.temperature = latestObservation.ta
-    if (latestObservation.tpr) {
-        reportData.dew_point = latestObservation.tpr
+    return latestObservation
+}
+
+// Observation values ('requires') and the report fields they give. Each group is taken whole
+// from one station, so the wind direction and speed never come from different places.
+// Further stations are only queried for the groups that are not 'optional' (see fetchStationObservations)
+const OBSERVATION_FIELD_GROUPS = [
+    {
+        name: "wind", requires: ["dv", "vv"], apply: (observation, reportData) => {
+            reportData.wind_direction = observation.dv;
+            reportData.wind_speed = convertMpsToKnots(observation.vv);
+        }
+    },
+    {
+        name: "gust", requires: ["dmax", "vmax"], optional: true, apply: (observation, reportData) => {
+            reportData.gust_direction = observation.dmax;
+            reportData.gust_speed = convertMpsToKnots(observation.vmax);
+        }
+    },
+    { name: "visibility", requires: ["vis"], optional: true, apply: (observation, reportData) => { reportData.visibility = observation.vis; } },
+    { name: "temperature", requires: ["ta"], apply: (observation, reportData) => { reportData.temperature = observation.ta; } },
+    { name: "dew_point", requires: ["tpr"], optional: true, apply: (observation, reportData) => { reportData.dew_point = observation.tpr; } },
+    { name: "qnh", requires: ["pres_nmar"], apply: (observation, reportData) => { reportData.qnh = observation.pres_nmar; } },
+    { name: "prec", requires: ["prec"], optional: true, apply: (observation, reportData) => { reportData.prec = observation.prec; } }
+];
+
+/**
+ * Populates reportData field by field, each from the best ranked station that reports it.
+ * The observation time is that of the oldest observation used, so the report never looks fresher
+ * than any of its values.
+ * @param {Array<{station: object, observation: object | null}>} latestObservations - The fresh observation
+ * of each candidate station (null when it has none), best ranked first.
+ * @param {object} reportData - The object to populate; `stations` lists the candidates and the fields taken from each.
+ */
+function applyStationObservations(latestObservations, reportData) {
+    const used = new Map();
+    for (const group of OBSERVATION_FIELD_GROUPS) {
+        const source = latestObservations.find(candidate => candidate.observation
+            && group.requires.every(value => candidate.observation[value] != null));
+        if (source) {
+            group.apply(source.observation, reportData);
+            used.set(source, [...(used.get(source) || []), group.name]);
+        }
     }
-    if (latestObservation.pres_nmar) {
-        reportData.qnh = latestObservation.pres_nmar
+
+    const oldest = [...used.keys()].reduce((older, candidate) => (older == null
+        || new Date(candidate.observation.fint) < new Date(older.observation.fint) ? candidate : older), null);
+    if (oldest) {
+        reportData.observationTime = convertToAtisTime(oldest.observation.fint);
+        reportData.observedAt = toIsoTime(oldest.observation.fint);
     }
-    reportData.prec = latestObservation.prec
-    reportData.observationTime = convertToAtisTime(latestObservation.fint)
 
-    return latestObservation
+    reportData.stations = latestObservations.map(candidate => ({
+        ...candidate.station,
+        observedAt: candidate.observation ? toIsoTime(candidate.observation.fint) : null,
+        fields: used.get(candidate) || []
+    }));
 }
 
 /**
@@ -159,60 +228,196 @@ function convertToAtisTime(isoTimeString) {
 }
 
 /**
- * Maps the AEMET 'estadoCielo' description to octas (0-8) and identifies specific phenomena.
- * @param {string} aemetDescription - The descriptive value from the AEMET 'estadoCielo'.
- * @returns {Object} An object with 'sky' (octas) and 'phenomenon' (string).
+ * Converts an AEMET time string (e.g., "2025-10-21T18:00:00+0000") to a full ISO 8601 UTC timestamp.
+ * @param {string} aemetTimeString - The time string in the source format.
+ * @returns {string | null} The ISO timestamp, or null if the time is invalid.
  */
-function mapAemetToOctasAndPhenomenon(aemetDescription) {
-    const description = aemetDescription.toLowerCase().trim();
-
-    let skyOctas = null;
-    let phenomenon = null;
-
-    // --- Octas Mapping ---
-    if (description.includes("despejado")) {
-        skyOctas = 0;
-    } else if (description.includes("poco nuboso")) {
-        skyOctas = 2;
-    } else if (description.includes("nubes altas")) {
-        skyOctas = 1;
-        phenomenon = "High Clouds";
-    } else if (description.includes("intervalos nubosos")) {
-        skyOctas = 4;
-    } else if (description.includes("nuboso")) {
-        skyOctas = 6;
-    } else if (description.includes("muy nuboso")) {
-        skyOctas = 7;
-    } else if (description.includes("cubierto")) {
-        skyOctas = 8;
-    }
+function toIsoTime(aemetTimeString) {
+    const date = new Date(aemetTimeString);
+    return isNaN(date.getTime()) ? null : date.toISOString();
+}
 
-    // --- Phenomenon Overrides ---
-    if (description.includes("lluvia") || description.includes("llovizna")) {
-        phenomenon = "Rain";
-    } else if (description.includes("nieve")) {
-        phenomenon = "Snow";
-    } else if (description.includes("tormenta")) {
-        phenomenon = "Thunderstorm";
-    } else if (description.includes("niebla")) {
-        phenomenon = "Fog";
-        skyOctas = 8;
-    } else if (description.includes("bruma")) {
-        phenomenon = "Mist / Haze";
-        skyOctas = 8;
-    } else if (description.includes("calima")) {
-        phenomenon = "Calima (Dust/Sand Haze)";
-        skyOctas = 0;
-    }
+/**
+ * Returns the time a sky-state prediction is valid for, as an ISO timestamp.
+ * Uses the same date/hour interpretation as getSkyState when it picks the closest prediction.
+ * @param {object} closestPrediction - The closest prediction ({day, hour, ...}).
+ * @returns {string | null} The ISO timestamp, or null if it cannot be computed.
+ */
+function getPredictionTime(closestPrediction) {
+    const date = new Date(`${closestPrediction.day}T${String(closestPrediction.hour).padStart(2, '0')}:00:00`);
+    return isNaN(date.getTime()) ? null : date.toISOString();
+}
 
-    if (skyOctas === null) {
-        skyOctas = 0;
-        phenomenon = "Unknown";
+/**
+ * Describes where the fields of an AEMET report come from, for WeatherReportData.mergeData:
+ * station observations, except the sky fields which come from the municipal forecast.
+ * @param {object} reportData - The object returned by getFormattedAtisData.
+ * @returns {object} The provenance of the report.
+ */
+export function getAemetProvenance(reportData) {
+    const forecast = { kind: "forecast", observedAt: reportData.skyForecastAt || null };
+    return {
+        source: "aemet",
+        kind: "observation",
+        observedAt: reportData.observedAt || null,
+        fields: {
+            originalSkyDescription: forecast,
+            sky: forecast,
+            phenomenon: forecast,
+            clouds: forecast,
+            clouds_short: forecast
+        }
+    };
+}
+
+// --- AEMET Sky State Decoding ---
+// 'estadoCielo' codes of the municipal forecast. The tens give the weather, the units the cloud cover
+// (3 intervalos nubosos, 4 nuboso, 5 muy nuboso, 6 cubierto); an 'n' suffix marks the night version
+// of the same code. Precipitation with cloud in intervals is decoded as showers.
+const AEMET_SKY_CODES = {
+    11: { octas: 0, weather: null },      // Despejado
+    12: { octas: 2, weather: null },      // Poco nuboso
+    13: { octas: 4, weather: null },      // Intervalos nubosos
+    14: { octas: 6, weather: null },      // Nuboso
+    15: { octas: 7, weather: null },      // Muy nuboso
+    16: { octas: 8, weather: null },      // Cubierto
+    17: { octas: 2, weather: null },      // Nubes altas
+    23: { octas: 4, weather: "SHRA" },    // ... con lluvia
+    24: { octas: 6, weather: "SHRA" },
+    25: { octas: 7, weather: "RA" },
+    26: { octas: 8, weather: "RA" },
+    33: { octas: 4, weather: "SHSN" },    // ... con nieve
+    34: { octas: 6, weather: "SHSN" },
+    35: { octas: 7, weather: "SN" },
+    36: { octas: 8, weather: "SN" },
+    43: { octas: 4, weather: "-SHRA" },   // ... con lluvia escasa
+    44: { octas: 6, weather: "-SHRA" },
+    45: { octas: 7, weather: "-RA" },
+    46: { octas: 8, weather: "-RA" },
+    51: { octas: 4, weather: "TS" },      // ... con tormenta
+    52: { octas: 6, weather: "TS" },
+    53: { octas: 7, weather: "TS" },
+    54: { octas: 8, weather: "TS" },
+    61: { octas: 4, weather: "-TSRA" },   // ... con tormenta y lluvia escasa
+    62: { octas: 6, weather: "-TSRA" },
+    63: { octas: 7, weather: "-TSRA" },
+    64: { octas: 8, weather: "-TSRA" },
+    71: { octas: 4, weather: "-SHSN" },   // ... con nieve escasa
+    72: { octas: 6, weather: "-SHSN" },
+    73: { octas: 7, weather: "-SN" },
+    74: { octas: 8, weather: "-SN" },
+    81: { octas: 8, weather: "FG" },      // Niebla
+    82: { octas: 8, weather: "BR" },      // Bruma
+    83: { octas: 0, weather: "DU" }       // Calima
+};
+
+// Fallback for predictions without a known code, by description keyword. The more specific
+// keywords come first, so "muy nuboso" is not taken for "nuboso"
+const AEMET_SKY_DESCRIPTIONS = [
+    ["despejado", 11],
+    ["poco nuboso", 12],
+    ["intervalos nubosos", 13],
+    ["muy nuboso", 15],
+    ["nuboso", 14],
+    ["cubierto", 16],
+    ["nubes altas", 17]
+];
+const AEMET_WEATHER_DESCRIPTIONS = [
+    ["tormenta y lluvia escasa", "-TSRA"],
+    ["tormenta", "TS"],
+    ["lluvia escasa", "-RA"],
+    ["llovizna", "DZ"],
+    ["lluvia", "RA"],
+    ["nieve escasa", "-SN"],
+    ["nieve", "SN"],
+    ["niebla", "FG"],
+    ["bruma", "BR"],
+    ["calima", "DU"]
+];
+
+// METAR present-weather groups and the phrases the reports use for them (see METAR_WEATHER_CODES in atis.js)
+const AEMET_WEATHER_PHRASES = {
+    "RA": "RAIN",
+    "-RA": "LIGHT RAIN",
+    "SHRA": "RAIN SHOWERS",
+    "-SHRA": "LIGHT RAIN SHOWERS",
+    "DZ": "DRIZZLE",
+    "SN": "SNOW",
+    "-SN": "LIGHT SNOW",
+    "SHSN": "SNOW SHOWERS",
+    "-SHSN": "LIGHT SNOW SHOWERS",
+    "TS": "THUNDERSTORM",
+    "-TSRA": "THUNDERSTORM WITH LIGHT RAIN",
+    "FG": "FOG",
+    "BR": "MIST",
+    "DU": "CALIMA (DUST/SAND HAZE)"
+};
+
+// Cloud groups by the most octas they cover: [octas, full form, short form]
+const CLOUD_GROUPS_BY_OCTAS = [
+    [0, "SKY CLEAR", "SKC"],
+    [2, "FEW", "FEW"],
+    [4, "SCATTERED", "SCT"],
+    [7, "BROKEN", "BKN"],
+    [8, "OVERCAST", "OVC"]
+];
+
+/**
+ * Decodes an AEMET 'estadoCielo' prediction to cloud cover and present weather.
+ * The numeric code is used when it is known, the description otherwise.
+ * @param {string | number} aemetCode - The code of the prediction (e.g., "26", "71n").
+ * @param {string} [aemetDescription] - The description of the prediction (e.g., "Cubierto con lluvia").
+ * @returns {{octas: number, weather: string | null, phrase: string | null} | null} The octas (0-8),
+ * the METAR weather group and its plain-English phrase, or null if neither can be decoded.
+ */
+export function decodeAemetSkyState(aemetCode, aemetDescription) {
+    const match = /^(\d+)n?$/.exec(String(aemetCode ?? "").trim());
+    let decoded = match ? AEMET_SKY_CODES[Number(match[1])] : null;
+
+    if (!decoded) {
+        const description = String(aemetDescription ?? "").toLowerCase().trim();
+        const sky = AEMET_SKY_DESCRIPTIONS.find(([keyword]) => description.includes(keyword));
+        const weather = AEMET_WEATHER_DESCRIPTIONS.find(([keyword]) => description.includes(keyword));
+        if (!sky && !weather) {
+            console.warn(`Unknown AEMET sky state: ${aemetCode} (${aemetDescription})`);
+            return null;
+        }
+        // Without a cloud cover the weather hides the sky, except calima
+        decoded = {
+            octas: sky ? AEMET_SKY_CODES[sky[1]].octas : (weather[1] === "DU" ? 0 : 8),
+            weather: weather ? weather[1] : null
+        };
     }
 
-    return { sky: skyOctas, phenomenon: phenomenon };
+    return { ...decoded, phrase: decoded.weather ? AEMET_WEATHER_PHRASES[decoded.weather] : null };
 }
 
+/**
+ * Sets the sky fields of the report from the closest sky-state prediction.
+ * @param {object} closestPrediction - The closest prediction ({day, hour, skyDescription, periodoCode}).
+ * @param {object} reportData - The report to update.
+ */
+function applySkyState(closestPrediction, reportData) {
+    reportData.originalSkyDescription = closestPrediction.skyDescription;
+    reportData.skyForecastAt = getPredictionTime(closestPrediction);
+
+    const decoded = decodeAemetSkyState(closestPrediction.periodoCode, closestPrediction.skyDescription);
+    if (!decoded) {
+        return;
+    }
+    reportData.sky = decoded.octas;
+
+    // Sky/Cloud Formatting (using Octas)
+    const [, clouds, cloudsShort] = CLOUD_GROUPS_BY_OCTAS.find(([octas]) => decoded.octas <= octas);
+    reportData.clouds = clouds;
+    reportData.clouds_short = cloudsShort;
+
+    // Significant Weather/Phenomenon (e.g., Rain, Fog, Thunderstorm)
+    if (decoded.phrase) {
+        reportData.phenomenon = decoded.phrase;
+    }
+}
+// --- END AEMET Sky State Decoding ---
 
 /**
  * Finds the sky state prediction closest to the current time and updates 
@@ -264,94 +469,166 @@ function getSkyState(aemetData, reportData) {
 
     // --- Update the External Object ---
     if (closestPrediction) {
-        const mappedData = mapAemetToOctasAndPhenomenon(closestPrediction.skyDescription);
-        reportData.originalSkyDescription = closestPrediction.skyDescription;
-        reportData.sky = mappedData.sky;
-        reportData.phenomenon_original = mappedData.phenomenon;
-        // --- 3. Sky/Cloud Formatting ---
-        // Cloud Layer Description (using Octas)
-        if (mappedData.sky === 0) {
-            reportData.clouds = "SKY CLEAR";
-            reportData.clouds_short = "SKC";
-        } else if (mappedData.sky <= 2) {
-            reportData.clouds = "FEW"; // 1-2 Octas
-            reportData.clouds_short = "FEW";
-        } else if (mappedData.sky <= 4) {
-            reportData.clouds = "SCATTERED"; // 3-4 Octas
-            reportData.clouds_short = "SCT";
-        } else if (mappedData.sky <= 7) {
-            reportData.clouds = "BROKEN"; // 5-7 Octas
-            reportData.clouds_short = "BKN";
-        } else { // 8 Octas
-            reportData.clouds = "OVERCAST";
-            reportData.clouds_short = "OVC";
-        }
-
-        // Significant Weather/Phenomenon (e.g., Rain, Fog, Thunderstorm)
-        if (mappedData.phenomenon && mappedData.phenomenon !== 'Clear' && mappedData.phenomenon !== 'Unknown') {
-            reportData.phenomenon = `${phenomenon.toUpperCase()}`;
-        }
+        applySkyState(closestPrediction, reportData);
     }
     return closestPrediction
 }
 
+// --- STATION SELECTION ---
 
+/**
+ * Converts an inventory coordinate ("403812N", "0030942W") to decimal degrees.
+ * @param {string} value - Degrees, minutes and seconds followed by the hemisphere.
+ * @returns {number | null} The coordinate (negative south and west), or null if it cannot be parsed.
+ */
+function parseInventoryCoordinate(value) {
+    const match = /^(\d{2,3})(\d{2})(\d{2})([NSEW])$/.exec(String(value ?? "").trim());
+    if (!match) {
+        return null;
+    }
+    const degrees = Number(match[1]) + Number(match[2]) / 60 + Number(match[3]) / 3600;
+    return match[4] === "S" || match[4] === "W" ? -degrees : degrees;
+}
 
 /**
- * Parses an AEMET weather code and returns an object with the sky state in octas and the meteorological phenomenon.
- * @param {string} aemetCode The AEMET code to be parsed (e.g., "71n", "53").
- * @returns {{octas: number|string, phenomenon: string}} An object with the octas and the meteorological phenomenon.
+ * Great-circle distance between two points (haversine).
+ * @returns {number} The distance in kilometres.
  */
-function parseAemetCode(aemetCode) {
-    const codeStr = String(aemetCode).replace('n', '');
-    const code = parseInt(codeStr, 10);
-    let octas = 'Unknown';
-    let phenomenon = 'No precipitation';
-
-    // Analyze cloud cover to determine octas
-    if (code === 11) {
-        octas = 0; // Clear
-    } else if (code === 12) {
-        octas = 2; // Partly cloudy (1-2 octas)
-    } else if (code === 13) {
-        octas = 4; // Cloudy intervals (3-4 octas)
-    } else if (code === 14 || code === 15) {
-        octas = 6; // Cloudy or very cloudy (5-7 octas)
-    } else if (code === 16) {
-        octas = 8; // Overcast (8 octas)
-    } else if (code === 17) {
-        octas = 6; // High clouds, considered cloudy (5-7 octas)
-    } else if (code >= 23 && code <= 26) {
-        octas = (code === 23) ? 4 : (code === 24) ? 6 : (code === 25) ? 6 : 8;
-        fenomeno = 'Rain';
-    } else if (code >= 33 && code <= 36) {
-        octas = (code === 33) ? 4 : (code === 34) ? 6 : (code === 35) ? 6 : 8;
-        phenomenon = 'Snow';
-    } else if (code >= 43 && code <= 46) {
-        octas = (code === 43) ? 4 : (code === 44) ? 6 : (code === 45) ? 6 : 8;
-        phenomenon = 'Light rain';
-    } else if (code >= 71 && code <= 74) {
-        octas = (code === 71) ? 4 : (code === 72) ? 6 : (code === 73) ? 6 : 8;
-        phenomenon = 'Light snow';
-    } else if (code >= 51 && code <= 54) {
-        octas = (code === 51) ? 4 : (code === 52) ? 6 : (code === 53) ? 6 : 8;
-        phenomenon = 'Thunderstorm';
-    } else if (code >= 61 && code <= 64) {
-        octas = (code === 61) ? 4 : (code === 62) ? 6 : (code === 63) ? 6 : 8;
-        phenomenon = 'Thunderstorm with light rain';
+function getDistanceKm(lat1, lon1, lat2, lon2) {
+    const EARTH_RADIUS_KM = 6371;
+    const deg = Math.PI / 180;
+    const a = Math.sin((lat2 - lat1) * deg / 2) ** 2
+        + Math.cos(lat1 * deg) * Math.cos(lat2 * deg) * Math.sin((lon2 - lon1) * deg / 2) ** 2;
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+}
+
+/**
+ * Returns the station selection settings of the airport profile, completed with the defaults.
+ * @param {object} airport - The airport profile.
+ * @returns {object} The station selection settings (see DEFAULT_STATION_SELECTION).
+ */
+export function getStationSelection(airport) {
+    return { ...DEFAULT_STATION_SELECTION, ...(airport.sources.aemet.station_selection || {}) };
+}
+
+/**
+ * Ranks the inventory stations for the airport by distance plus the elevation difference
+ * (weighted as extra distance), and keeps all the ones within the maximum distance: which of them
+ * report each field is only known once they are queried (see fetchStationObservations).
+ * @param {Array<object>} inventory - The AEMET station inventory.
+ * @param {object} airport - The airport profile (coordinates, elevation, station selection).
+ * @returns {Array<{id: string, name: string, distance_km: number, elevation_diff_m: number}>} The candidates, best first.
+ */
+function rankStations(inventory, airport) {
+    const selection = getStationSelection(airport);
+    const airportElevationM = airport.elevation_ft * 0.3048;
+
+    return inventory
+        .map(station => {
+            const lat = parseInventoryCoordinate(station.latitud);
+            const lon = parseInventoryCoordinate(station.longitud);
+            if (lat == null || lon == null) {
+                return null;
+            }
+            const distanceKm = getDistanceKm(airport.coordinates.lat, airport.coordinates.lon, lat, lon);
+            const elevationDiffM = Math.abs(Number(station.altitud) - airportElevationM);
+            return {
+                id: station.indicativo,
+                name: station.nombre,
+                distance_km: Math.round(distanceKm * 10) / 10,
+                elevation_diff_m: isNaN(elevationDiffM) ? null : Math.round(elevationDiffM),
+                score: distanceKm + (isNaN(elevationDiffM) ? 0 : elevationDiffM / 100 * selection.km_per_100m_elevation)
+            };
+        })
+        .filter(station => station && station.distance_km <= selection.max_distance_km)
+        .sort((a, b) => a.score - b.score)
+        .map(({ score, ...station }) => station);
+}
+
+/**
+ * Returns the candidate stations of the airport. The ranking is built from the station inventory
+ * and kept in KV for STATION_RANKING_REFRESH_DAYS; when the inventory cannot be fetched the last
+ * ranking is kept, and without one the stations of the profile (sources.aemet.stations) are used.
+ * @param {object} headers - Request headers including the API key.
+ * @param {object} KVStore - The key-value store interface.
+ * @param {object} airport - The airport profile.
+ * @param {Function} [fetchFn] - The fetch implementation.
+ * @returns {Promise<Array<object>>} The candidate stations, best ranked first.
+ */
+async function getCandidateStations(headers, KVStore, airport, fetchFn = fetch) {
+    const key = airportKey(airport, "stationRanking");
+    const cached = await KVStore.get(key, "json");
+    if (cached && !isOlderThan(cached.rankedAt, STATION_RANKING_REFRESH_DAYS * 24 * 60)) {
+        return cached.stations;
     }
-    // Add logic for fog, mist, etc.
-    else if (code >= 21 && code <= 30) {
-        octas = 8; // Fog and mist considered 8 octas due to opacity
-        phenomenon = 'Fog/Mist';
-    } else if (code >= 31 && code <= 40) {
-        octas = 'Variable'; // Haze can vary cloudiness
-        phenomenon = 'Haze';
+
+    const inventory = await fetchAemetJson(`${AEMET_API}${ENDPOINT_INVENTORY}`, headers, fetchFn);
+    const stations = Array.isArray(inventory) ? rankStations(inventory, airport) : [];
+    if (stations.length > 0) {
+        await KVStore.put(key, JSON.stringify({ rankedAt: new Date().toISOString(), stations: stations }));
+        return stations;
     }
 
-    return { octas, phenomenon };
+    console.warn("AEMET station inventory unavailable, using the last ranking or the profile stations.");
+    if (cached) {
+        return cached.stations;
+    }
+    return (airport.sources.aemet.stations || []).map(id => ({ id: id, name: null, distance_km: null, elevation_diff_m: null }));
+}
+/**
+ * Tells whether every required (not optional) observation field group is reported by a fresh
+ * observation of one of the stations.
+ * @param {Array<{station: object, data: object}>} stationObservations - The observations fetched so far.
+ * @param {number} maxAgeMinutes - Observations older than this are not counted.
+ * @returns {boolean} True when no required field is missing.
+ */
+function reportsRequiredFields(stationObservations, maxAgeMinutes) {
+    const observations = stationObservations
+        .map(candidate => candidate.data != null ? findClosestObservation(candidate.data) : null)
+        .filter(observation => observation && !isOlderThan(observation.fint, maxAgeMinutes));
+    return OBSERVATION_FIELD_GROUPS.filter(group => !group.optional).every(group => observations.some(observation =>
+        group.requires.every(value => observation[value] != null)));
 }
 
+/**
+ * Fetches the observations of the candidate stations, best ranked first, 'max_stations' at a time.
+ * Further candidates are only queried while a required field is reported by none of the stations
+ * fetched so far, up to 'max_station_queries', and only while another batch (as slow as the slowest
+ * one so far) still ends before the deadline: the stations fetched by then are returned.
+ * @param {Array<object>} stations - The candidate stations, best ranked first.
+ * @param {object} headers - Request headers including the API key.
+ * @param {object} airport - The airport profile.
+ * @param {Function} [fetchFn] - The fetch implementation.
+ * @param {number} [deadlineMs] - Epoch time by which the observations are needed.
+ * @returns {Promise<Array<{station: object, data: object}>>} The observations of the queried stations.
+ */
+async function fetchStationObservations(stations, headers, airport, fetchFn = fetch, deadlineMs = Infinity) {
+    const selection = getStationSelection(airport);
+    const maxAgeMinutes = getDataAgeLimits(airport).reject_observation_after_minutes;
+    const candidates = stations.slice(0, selection.max_station_queries);
+    const stationObservations = [];
+    let slowestBatchMs = 0;
+
+    for (let start = 0; start < candidates.length; start += selection.max_stations) {
+        if (start > 0 && Date.now() + slowestBatchMs > deadlineMs) {
+            console.warn(`AEMET station search stopped after ${start} stations: no time left for another batch.`);
+            break;
+        }
+        const batchStartMs = Date.now();
+        const batch = await Promise.all(candidates.slice(start, start + selection.max_stations).map(async station => {
+            const observationUrl = `${AEMET_API}${ENDPOINT_DATA_IDEMA}${station.id}`;
+            return { station: station, data: await fetchAemetJson(observationUrl, headers, fetchFn) };
+        }));
+        stationObservations.push(...batch);
+        slowestBatchMs = Math.max(slowestBatchMs, Date.now() - batchStartMs);
+        if (reportsRequiredFields(stationObservations, maxAgeMinutes)) {
+            break;
+        }
+    }
+    return stationObservations;
+}
+// --- END STATION SELECTION ---
+
 /**
  * Converts speed from meters per second (m/s) to knots (kt).
  * * Conversion Factor: 1 m/s = 1.94384 knots
@@ -375,6 +652,9 @@ function convertMpsToKnots(metersPerSecond) {
 }
 
 function findClosestObservation(observationData) {
+    if (!Array.isArray(observationData) || observationData.length === 0) {
+        return null;
+    }
     const now = new Date().getTime();
 
     return observationData.reduce((closest, current) => {
@@ -394,9 +674,18 @@ function findClosestObservation(observationData) {
  * with hourly caching implemented using KVStore.
  * @param {string} apiKey The secret AEMET API key.
  * @param {object} KVStore The key-value store interface (e.g., Workers KV).
+ * @param {object} airport The airport profile (coordinates and elevation, sources.aemet holds the municipality).
+ * @param {Function} [fetchFn] The fetch implementation used for the AEMET requests.
+ * @param {number} [deadlineMs] Epoch time by which the data is needed (bounds the station search).
  * @returns {Promise<object>} The processed data object suitable for ATISReport.
  */
-export async function getFormattedAtisData(apiKey, KVStore) {
+export async function getFormattedAtisData(apiKey, KVStore, airport, fetchFn = fetch, deadlineMs = Infinity) {
+    const { municipality } = airport.sources.aemet;
+    const headers = {
+        "Accept": "application/json",
+        "api_key": apiKey
+    };
+    const stations = await getCandidateStations(headers, KVStore, airport, fetchFn);
     const now = new Date();
     // Get the current hour in UTC (Zulu) - the target update interval
     const currentHourUTC = now.getUTCHours().toString().padStart(2, '0');
@@ -408,49 +697,35 @@ export async function getFormattedAtisData(apiKey, KVStore) {
         currentHourUTC; // This is the unique identifier for the current hour
     // 1. Check Cache
     console.log("Getting keys from cache")
-    const lastUpdateKey = await KVStore.get("lastUpdateKey"); // Store the full composite key here
+    const lastUpdateKey = await KVStore.get(airportKey(airport, "lastUpdateKey")); // Store the full composite key here
     console.log(lastUpdateKey)
     if (lastUpdateKey === currentCacheKey) {
         console.log(`Cache HIT for key ${currentCacheKey}. Using stored data.`);
 
-        // Retrieve the cached raw observation/prediction data from the store
-        const cachedObservationVado = await KVStore.get("dataVado", "json");
-        const cachedObservationGuada = await KVStore.get("dataGuada", "json");
-        const cachedPrediction = await KVStore.get("prediction", "json");
-
-        // The processAemetData function expects the *raw* AEMET data structure,
-        // but the KVStore.put calls in processAemetData store the *closest observation/prediction objects*.
-        // We will call processAemetData with the **raw AEMET structures** if available,
-        // or a null-filled object if the cache stores the *final* ATIS object (which it doesn't seem to based on your existing code).
-
-        // Since your `processAemetData` expects the full raw payload for `predictionData`
-        // but the closest *item* for the observation data (as stored in KVStore in your implementation),
-        // we must reconstruct the final ATIS object directly here using the cached items.
-        // This is a cleaner approach than trying to pass the subset back into the main processor.
+        // Retrieve the cached closest observation/prediction objects from the store
+        // Only the candidates a fetch may query are read, the others have no cached observation
+        const cachedStations = stations.slice(0, getStationSelection(airport).max_station_queries);
+        const cachedObservations = [];
+        for (const station of cachedStations) {
+            cachedObservations.push(await KVStore.get(airportKey(airport, `station:${station.id}`), "json"));
+        }
+        const cachedPrediction = await KVStore.get(airportKey(airport, "prediction"), "json");
 
-        if (cachedObservationGuada || cachedObservationVado || cachedPrediction) {
+        // The KV store holds the *closest observation/prediction objects* (the input of
+        // applyStationObservations and getSkyState), not the final reportData, so the
+        // final processing steps are run again on the cached objects.
+        if (cachedObservations.some(observation => observation) || cachedPrediction) {
             // Re-populate the reportData object using the cached specific items
             let reportData = { time: now.getUTCHours().toString().padStart(2, '0') + now.getUTCMinutes().toString().padStart(2, '0') };
 
-            // We apply the Vado observation first (if available) and then Guada,
-            // or vice versa, depending on which one is intended to be the override.
-            // Based on your original code, Vado overwrites Guada.
-
-            // Note: We need to re-run the logic that processes the observation/prediction *objects*
-            // into the final `reportData` ATIS structure, which is what your `getLatestObservationData`
-            // and `getSkyState` functions do (since the KV store holds the *input* to those functions, not the final reportData).
-            // A more efficient approach for caching the *result* would be to store the final `reportData` itself.
-
-            // Since the original code stores intermediate data (closest observation/prediction objects), 
-            // we'll run the final processing steps again on the cached objects:
-
-            if (cachedObservationGuada) {
-                getLatestObservationDataFromCached(cachedObservationGuada, reportData);
-            }
-            if (cachedObservationVado) {
-                // This will overwrite fields like wind/temp/QNH from Guada with Vado data
-                getLatestObservationDataFromCached(cachedObservationVado, reportData);
-            }
+            // Each field comes from the best ranked station with a fresh observation of it
+            const maxAgeMinutes = getDataAgeLimits(airport).reject_observation_after_minutes;
+            applyStationObservations(cachedStations.map((station, index) => ({
+                station: station,
+                observation: cachedObservations[index] && !isOlderThan(cachedObservations[index].fint, maxAgeMinutes)
+                    ? cachedObservations[index]
+                    : null
+            })), reportData);
             if (cachedPrediction) {
                 getSkyStateFromCached(cachedPrediction, reportData);
             }
@@ -465,28 +740,21 @@ export async function getFormattedAtisData(apiKey, KVStore) {
 
     // 2. Cache Miss / Stale Cache: Fetch Data
     console.log(`Cache MISS or Stale for hour ${currentHourUTC}Z. Fetching new data.`);
-    const headers = {
-        "Accept": "application/json",
-        "api_key": apiKey
-    };
-
-    // Fetch Municipal Prediction
-    const predictionUrl = `${AEMET_API}${ENDPOINT_PRED_MUN}${COD_ROBLE}`;
-    const predictionData = await fetchAemetJson(predictionUrl, headers);
 
-    // Fetch Observation Data
-    const observationUrlVado = `${AEMET_API}${ENDPOINT_DATA_IDEMA}${ID_EMA_PANTANO_VADO}`;
-    const observationDataVado = await fetchAemetJson(observationUrlVado, headers);
-    const observationUrlGuada = `${AEMET_API}${ENDPOINT_DATA_IDEMA}${ID_EMA_GUADA}`;
-    const observationDataGuada = await fetchAemetJson(observationUrlGuada, headers);
+    // Fetch the municipal prediction and the station observations concurrently
+    const predictionUrl = `${AEMET_API}${ENDPOINT_PRED_MUN}${municipality}`;
+    const [predictionData, stationObservations] = await Promise.all([
+        fetchAemetJson(predictionUrl, headers, fetchFn),
+        fetchStationObservations(stations, headers, airport, fetchFn, deadlineMs)
+    ]);
 
     // 3. Process and format the data (This also updates the KVStore implicitly via calls inside)
-    const reportData = processAemetData(predictionData, observationDataVado, observationDataGuada, KVStore);
+    const reportData = processAemetData(predictionData, stationObservations, KVStore, airport);
 
     // 4. Update Cache Control Tag
     if (reportData.wind_speed !== null || reportData.sky !== null) {
         // Only update the time tag if we successfully got *some* data
-        await KVStore.put("lastUpdateKey", currentCacheKey);
+        await KVStore.put(airportKey(airport, "lastUpdateKey"), currentCacheKey);
         console.log(`Cache updated with new data and key ${currentCacheKey}.`);
     }
 
@@ -494,57 +762,42 @@ export async function getFormattedAtisData(apiKey, KVStore) {
 }
 
 
-// --- Helper functions for re-using cached data ---
-// These are copies of the original processing logic but operate on the already
-// identified 'closest observation' or 'closest prediction' object from the cache.
-
-function getLatestObservationDataFromCached(latestObservation, reportData) {
-    reportData.wind_direction = latestObservation.dv;
-    reportData.wind_speed = convertMpsToKnots(latestObservation.vv);
-    reportData.gust_direction = latestObservation.dmax;
-    reportData.gust_speed = convertMpsToKnots(latestObservation.vmax);
-    if (latestObservation.vis) {
-        reportData.visibility = latestObservation.vis;
-    }
-    reportData.temperature = latestObservation.ta;
-    if (latestObservation.tpr) {
-        reportData.dew_point = latestObservation.tpr;
-    }
-    if (latestObservation.pres_nmar) {
-        reportData.qnh = latestObservation.pres_nmar;
+// --- SOURCE PROVIDER (see providers.js) ---
+export const aemetProvider = {
+    id: "aemet",
+    kind: "observation",
+    // getFormattedAtisData caches the upstream data per hour, this only spares the KV reads
+    ttlSeconds: 5 * 60,
+    // Two-step fetches of the forecast and every station
+    timeoutMs: 10000,
+    requiredSecrets: ["AEMET_API_KEY"],
+    fieldStation: false,
+    async fetch(env, KVStore, airport, fetchFn) {
+        // The station search stops in time for the data to arrive before the provider timeout
+        const deadlineMs = Date.now() + aemetProvider.timeoutMs - STATION_QUERY_MARGIN_MS;
+        const data = await getFormattedAtisData(env.AEMET_API_KEY, KVStore, airport, fetchFn, deadlineMs);
+        if (data.wind_speed == null && data.sky == null) {
+            throw new Error("No AEMET observation or forecast available");
+        }
+        return data;
+    },
+    provenance(data) {
+        return getAemetProvenance(data);
+    },
+    // The upstream data is fetched once per UTC hour, tagged "YYYY-MM-DD-HH"
+    async cacheStatus(KVStore, airport) {
+        const key = airportKey(airport, "lastUpdateKey");
+        const value = await KVStore.get(key);
+        return { key: key, value: value, cachedAt: value ? `${value.slice(0, 10)}T${value.slice(11)}:00:00Z` : null };
     }
-    reportData.prec = latestObservation.prec;
-    reportData.observationTime = convertToAtisTime(latestObservation.fint);
-}
+};
+
+// --- Helper functions for re-using cached data ---
+// Operates on the already identified 'closest prediction' object from the cache
+// (cached station observations go through applyStationObservations like fresh ones).
 
 function getSkyStateFromCached(closestPrediction, reportData) {
     if (closestPrediction) {
-        const mappedData = mapAemetToOctasAndPhenomenon(closestPrediction.skyDescription);
-        reportData.originalSkyDescription = closestPrediction.skyDescription;
-        reportData.sky = mappedData.sky;
-        reportData.phenomenon_original = mappedData.phenomenon;
-
-        // --- Sky/Cloud Formatting ---
-        if (mappedData.sky === 0) {
-            reportData.clouds = "SKY CLEAR";
-            reportData.clouds_short = "SKC";
-        } else if (mappedData.sky <= 2) {
-            reportData.clouds = "FEW";
-            reportData.clouds_short = "FEW";
-        } else if (mappedData.sky <= 4) {
-            reportData.clouds = "SCATTERED";
-            reportData.clouds_short = "SCT";
-        } else if (mappedData.sky <= 7) {
-            reportData.clouds = "BROKEN";
-            reportData.clouds_short = "BKN";
-        } else {
-            reportData.clouds = "OVERCAST";
-            reportData.clouds_short = "OVC";
-        }
-
-        // Significant Weather/Phenomenon
-        if (mappedData.phenomenon && mappedData.phenomenon !== 'Clear' && mappedData.phenomenon !== 'Unknown') {
-            reportData.phenomenon = `${mappedData.phenomenon.toUpperCase()}`;
-        }
+        applySkyState(closestPrediction, reportData);
     }
-}
\ No newline at end of file
+}
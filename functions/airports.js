@@ -0,0 +1,64 @@
+// --- AIRPORT PROFILES ---
+// Everything that is specific to one field lives here, so the same deployment can serve
+// neighbouring fields by adding a profile and selecting it with '?airport=ICAO'.
+export const AIRPORT_PROFILES = {
+    LERM: {
+        icao: "LERM",
+        name: "Robledillo de Mohernando",
+        coordinates: { lat: 40.86030, lon: -3.24586 },
+        elevation_ft: 2986,
+        // A high density altitude advisory is broadcast from this density altitude
+        density_altitude_advisory_ft: 5000,
+        frequency: "123.325",
+        // The transition level is derived from this and the current QNH
+        transition_altitude_ft: 13000,
+        // Issued reports are kept in the history archive for this many days
+        history_retention_days: 30,
+        runways: [
+            { designator: "01", heading: 10, surface: "ASPHALT", circuit: "LEFT" },
+            { designator: "19", heading: 190, surface: "ASPHALT", circuit: "RIGHT" }
+        ],
+        // Crosswind read-out threshold and the limits our ultralights fly to (knots)
+        wind_limits: { report_crosswind_above_kt: 5, max_crosswind_kt: 12, max_tailwind_kt: 5 },
+        // Calm-wind runway and the tailwind that makes us leave the runway in use (knots)
+        runway_selection: { calm_wind_kt: 3, preferred_calm_runway: "01", change_tailwind_kt: 3 },
+        // Changes that issue a new letter, and the age at which one is issued anyway
+        significant_change: {
+            wind_direction_change_deg: 30, wind_speed_change_kt: 10, qnh_change_hpa: 1,
+            max_report_age_minutes: 60, visibility_thresholds_km: [0.8, 1.5, 3, 5, 8, 10]
+        },
+        sources: {
+            // Several models are combined into a consensus (median wind, maximum gust, cloud spread as confidence)
+            windy: { models: ["iconEu", "arome", "gfs"] },
+            aemet: {
+                municipality: "19239", // Robledillo de Mohernando
+                // Stations come from the AEMET inventory, ranked by distance and elevation difference
+                // (station_selection overrides the defaults); these are only used without an inventory
+                stations: ["3103", "3168D"]
+            },
+            lerm: { url: "https://www.aeroclubdeguadalajara.es/meteo.php" }
+        }
+    }
+};
+
+export const DEFAULT_AIRPORT = "LERM";
+
+/**
+ * Looks up an airport profile by ICAO code (case-insensitive).
+ * @param {string} [icao] - The ICAO code, defaults to DEFAULT_AIRPORT.
+ * @returns {object | null} The airport profile, or null if the airport is not configured.
+ */
+export function getAirportProfile(icao) {
+    const code = (icao || DEFAULT_AIRPORT).toUpperCase().trim();
+    return AIRPORT_PROFILES[code] || null;
+}
+
+/**
+ * Namespaces a KV key with the airport ICAO code so profiles sharing the KV store don't collide.
+ * @param {object} airport - The airport profile.
+ * @param {string} key - The key within the airport namespace.
+ * @returns {string} The namespaced key (e.g. "LERM:atisState").
+ */
+export function airportKey(airport, key) {
+    return `${airport.icao}:${key}`;
+}
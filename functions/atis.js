@@ -1,96 +1,174 @@
 // Import the ATIS data fetching function from the local module
-import { getFormattedAtisData } from './aemet.js';
-import { fetchAndParseLERMConditions } from './robleEMA.js'
-import { fetchWindyData } from './windy.js';
+import { getMissingSecrets, getProviders, runProviders } from './providers.js';
 import { WeatherReportData } from './weatherReport.js';
+import { getAirportProfile } from './airports.js';
+import { getMagneticVariation, roundDirectionToTen, trueToMagnetic } from './wmm.js';
+import { assessObservationAge, getDataAgeLimits } from './dataAge.js';
+import { computeFieldAltitudes } from './densityAltitude.js';
+import { issueIdentifier } from './atisIdentifier.js';
+import { buildReportSnapshot } from './significantChange.js';
+import { archiveReport } from './history.js';
+import { getActiveRemarkTexts } from './remarks.js';
+import { isCaptureRequested, saveCapture, startCapture } from './capture.js';
+import { renderSsml } from './speech.js';
+import { buildTrend, getTrendCriteria } from './trend.js';
+import { estimateCloudBaseFt, estimateCloudLayers, getCeiling, hasCloudHeights } from './cloudBase.js';
+import { buildWindyCloudLayers } from './windy.js';
+import { toSpanishIdentifier, translateClouds, translatePhenomenon, translateRemarks } from './spanish.js';
+import { computeRunwayWinds, determineActiveRunway, getRunwaySelectionRules, getWindLimits, getWindLimitAdvisories } from './runways.js';
 
-// --- ATIS IDENTIFIER LOGIC ---
-const ATIS_IDENTIFIERS = [
-    "ALPHA", "BRAVO", "CHARLIE", "DELTA", "ECHO", "FOXTROT", "GOLF", "HOTEL",
-    "INDIA", "JULIET", "KILO", "LIMA", "MIKE", "NOVEMBER", "OSCAR", "PAPA",
-    "QUEBEC", "ROMEO", "SIERRA", "TANGO", "UNIFORM", "VICTOR", "WHISKEY",
-    "XRAY", "YANKEE", "ZULU"
+// Fields only broadcast from an observation: a forecast value of them is never read out as current conditions
+const OBSERVATION_ONLY_FIELDS = [
+    "wind_direction", "wind_direction_true", "wind_speed", "gust_direction", "gust_speed", "wind_vrb", "wind_vrb_true",
+    "temperature", "dew_point", "qnh", "prec"
 ];
 
-// Initialize the index to the last element (ZULU) so the first call to getNextIdentifier 
-// will wrap to ALPHA (0), ensuring the sequence starts correctly.
-let currentIdentifierIndex = ATIS_IDENTIFIERS.length - 1;
-let LAST_BROADCAST_TIME = null;
-
-/**
- * Calculates and updates the next sequential ATIS identifier (A-Z).
- * The variable is module-scoped, meaning it persists for the life of the worker instance.
- * @returns {string} The next ATIS identifier (e.g., "ALPHA", "BRAVO").
- */
-function getNextIdentifier() {
-    currentIdentifierIndex = (currentIdentifierIndex + 1) % ATIS_IDENTIFIERS.length;
-    return ATIS_IDENTIFIERS[currentIdentifierIndex];
-}
-// --- END ATIS IDENTIFIER LOGIC ---
-
 /**
  * Prepares and formats raw report data for the ATISReport class, 
  * including logic for rotating the ATIS identifier.
  *
  * @param {Object} reportData - The object populated with raw data (dv, vv, qnh, sky, etc.).
- * @returns {Object} A new object with all fields formatted and identifier determined.
+ * @param {object} KVStore - The KV store holding the ATIS identifier and runway state.
+ * @param {object} airport - The airport profile the report is built for.
+ * @param {object | null} trend - The TREND of the next hours (see buildTrend), null without a forecast series.
+ * @returns {Promise<Object>} A new object with all fields formatted and identifier determined.
  */
-function formatReportForATIS(reportData) {
-    const isNewData = reportData.observationTime !== LAST_BROADCAST_TIME;
-    let currentIdentifier = ATIS_IDENTIFIERS[currentIdentifierIndex];
-
-    // --- 1. Identifier Management ---
-    if (isNewData) {
-        // Data has changed (new observation time), so advance the identifier
-        currentIdentifier = getNextIdentifier();
-
-        // Update the mock persistence for next run
-        LAST_BROADCAST_TIME = reportData.observationTime;
-
+async function formatReportForATIS(reportData, KVStore, airport, trend) {
+    // --- 3. Data Age ---
+    // Old observations are announced instead of being broadcast as current. Without any observation the
+    // forecast values are not read out as current conditions: the wind, temperature, dew point, QNH and
+    // precipitation are left out, and so is everything derived from them (runway wind, advisories, TL)
+    const data_age = assessObservationAge(reportData.getProvenance(), getDataAgeLimits(airport));
+    if (data_age.status === "unavailable") {
+        for (const field of OBSERVATION_ONLY_FIELDS) {
+            reportData[field] = null;
+        }
     }
 
     // --- 4. Altimeter Formatting (QNH) ---
     // QNH is often reported in hPa (millibars) but sometimes converted to inches Hg (inHg).
     // Assuming the input 'qnh' is in hPa (e.g., 1013), we report it as QNH.
     // Altimeter setting is usually rounded to the nearest integer.
-    const altimeter_qnh = `QNH ${Math.round(reportData.qnh)}`;
-    let special_info = null;
-    if (reportData.prec > 2) {
-        special_info = "BRAKING ACTION ADVISORIES ARE IN EFFECT";
+    const altimeter_qnh = reportData.qnh != null ? `QNH ${Math.round(reportData.qnh)}` : null;
+    const special_info_items = [];
+    if (reportData.prec > 2 || BRAKING_ACTION_WEATHER.test(formatMetarWeather(reportData.phenomenon))) {
+        special_info_items.push("BRAKING ACTION ADVISORIES ARE IN EFFECT");
+    }
+
+    // --- 4b. Runway Selection and Wind Components ---
+    const wind_limits = getWindLimits(airport);
+    const runway_winds = computeRunwayWinds(reportData, airport.runways, getRunwaySelectionRules(airport).calm_wind_kt);
+    const runway_selection = await determineActiveRunway(KVStore, reportData, runway_winds, airport);
+    const runways_in_use = runway_selection.designator;
+    const runway_wind = runway_winds.find(runway => runway.designator === runways_in_use);
+    special_info_items.push(...getWindLimitAdvisories(runway_wind, wind_limits));
+
+    // Crosswind on the runway in use is only read out above the configured threshold
+    let crosswind = null;
+    if (runway_wind && runway_wind.mean && runway_wind.max_crosswind > wind_limits.report_crosswind_above_kt) {
+        crosswind = {
+            speed: runway_wind.mean.crosswind,
+            gust: runway_wind.gust ? runway_wind.gust.crosswind : null,
+            from: runway_wind.mean.crosswind_from
+        };
     }
 
+    // --- 4d. Pressure and Density Altitude ---
+    const field_altitudes = computeFieldAltitudes(reportData, airport);
+
+    // --- 4e. Operator Remarks ---
+    // Runway closures, parachute activity... entered through /atis/remarks, while they are valid
+    special_info_items.push(...await getActiveRemarkTexts(KVStore, airport));
+
     // --- 5. Final Report Object Construction ---
-    return {
-        airport_name: "LERM",
-        identifier: currentIdentifier,
-        time_zulu: reportData.observationTime, // Already in HH:MM Z format
+    const atisData = {
+        airport_name: airport.icao,
+        frequency: airport.frequency,
+        // Fields without a value stay null and are left out of the reports, never rounded to 0
+        transition_level: reportData.qnh != null ? computeTransitionLevel(reportData.qnh, airport.transition_altitude_ft) : null,
+        time_zulu: formatZuluTime(reportData.observationTime), // The sources give "HH:MMZ" or "HHMMZ"
+        day_zulu: getObservationDay(reportData.observationTime),
         wind_direction: reportData.wind_direction,
-        wind_dir_f: String(reportData.wind_direction).padStart(3, '0'),
+        wind_direction_true: reportData.wind_direction_true, // METAR only, every other wind is magnetic
+        wind_dir_f: reportData.wind_direction != null ? String(reportData.wind_direction).padStart(3, '0') : null,
         wind_speed: reportData.wind_speed,
         wind_vrb: reportData.wind_vrb,
+        wind_vrb_true: reportData.wind_vrb_true,
         gust_direction: reportData.gust_direction,
-        gust_dir_f: String(reportData.gust_direction).padStart(3, '0'),
-        gust_speed: Math.round(reportData.gust_speed),
+        // Gusts without their own direction blow from the mean wind direction
+        gust_dir_f: (reportData.gust_direction ?? reportData.wind_direction) != null
+            ? String(reportData.gust_direction ?? reportData.wind_direction).padStart(3, '0')
+            : null,
+        gust_speed: reportData.gust_speed != null ? Math.round(reportData.gust_speed) : null,
         visibility: reportData.visibility, // Assuming visibility is numeric
         clouds: reportData.clouds,
         clouds_short: reportData.clouds_short,
+        ceiling: getCeiling(reportData.clouds_short),
+        cloud_heights_estimated: hasCloudHeights(reportData.clouds_short),
         phen: reportData.phenomenon,
-        temperature: `${Math.round(reportData.temperature)}`,
-        dew_point: `${Math.round(reportData.dew_point)}`,
+        temperature: reportData.temperature != null ? `${Math.round(reportData.temperature)}` : null,
+        dew_point: reportData.dew_point != null ? `${Math.round(reportData.dew_point)}` : null,
         altimeter: altimeter_qnh,
-        runways_in_use: determineActiveRunway(reportData.wind_direction), // Use the runway function
-        special_info: special_info // Placeholder for NOTAMs, facilities, etc.
+        qnh: reportData.qnh, // Raw QNH, METAR rounds it down instead of to the nearest hPa
+        runways_in_use: runways_in_use,
+        runway_reason: runway_selection.reason,
+        runway_winds: runway_winds,
+        data_age: data_age,
+        pressure_altitude: field_altitudes.pressure_altitude_ft,
+        density_altitude: field_altitudes.density_altitude_ft,
+        // Kept out of special_info: the value changes with every report and must not advance the letter
+        density_altitude_advisory: field_altitudes.advisory,
+        crosswind: crosswind,
+        // Not part of the significant change snapshot: a new outlook alone doesn't issue a new letter
+        trend: trend,
+        special_info: special_info_items.length > 0 ? special_info_items.join(". ") : null // Advisories and operator remarks
     };
+
+    // --- 6. Identifier Management ---
+    // Without any observation there is nothing to issue: no letter is advanced, broadcast or archived
+    if (data_age.status === "unavailable") {
+        atisData.identifier = null;
+        atisData.issued_at = null;
+        atisData.is_new_issue = false;
+        atisData.change_reasons = [];
+        return atisData;
+    }
+
+    // The letter only advances (and is persisted in KV) on a significant change from the last issued report
+    const atisState = await issueIdentifier(KVStore, airport, buildReportSnapshot(atisData));
+    atisData.identifier = atisState.identifier;
+    atisData.issued_at = atisState.issuedAt;
+    atisData.is_new_issue = atisState.isNew;
+    atisData.change_reasons = atisState.changeReasons || [];
+
+    return atisData;
 }
 
 // --- ATISReport Class (The consumer of the data) ---
 class ATISReport {
     constructor(data) {
         Object.assign(this, data);
-        this.acknowledgment = `CONFIRM ATIS INFO ${this.identifier.toUpperCase()} ON INITIAL CONTACT`;
+        // No letter is issued without observation data (see formatReportForATIS), nor acknowledged
+        this.acknowledgment = this.identifier ? `CONFIRM ATIS INFO ${this.identifier.toUpperCase()} ON INITIAL CONTACT` : null;
+    }
+
+    /**
+     * Tells whether the report has a mean wind to read out (direction and speed).
+     * @returns {boolean} True with both values.
+     */
+    has_wind() {
+        return this.wind_dir_f != null && this.wind_speed != null && !isNaN(this.wind_speed);
     }
 
-    get_full_report() {
+    /**
+     * Renders the spoken-style report.
+     * @param {string} [lang] - 'en' (default) or 'es'.
+     * @returns {string} The full report.
+     */
+    get_full_report(lang = "en") {
+        if (lang === "es") {
+            return this.get_full_report_es();
+        }
         let wind_gust = ""
         if (this.gust_speed > 0) {
             wind_gust = `Gusting ${this.gust_dir_f} at ${this.gust_speed} knots`
@@ -99,56 +177,95 @@ class ATISReport {
         if (this.wind_vrb) {
             wind_vrb = `Variable from ${this.wind_vrb}`.replace("/", " to ").replace("VRB ", "")
         }
+        let crosswind = ""
+        if (this.crosswind) {
+            crosswind = `Crosswind ${this.crosswind.speed} knots from the ${this.crosswind.from.toLowerCase()}`
+            if (this.crosswind.gust > this.crosswind.speed) {
+                crosswind += `, gusting ${this.crosswind.gust} knots`
+            }
+            crosswind += ".\n"
+        }
+        // No source measures cloud heights, they are estimated (see cloudBase.js)
+        const clouds_estimated = this.cloud_heights_estimated ? ", heights estimated" : ""
+        // Missing values are left out rather than read as "null"
         let vis_clouds = ''
         if (this.visibility > 10 && this.clouds == "SKY CLEAR") {
             vis_clouds = "CAVOK\n"
-        } else if (this.clouds == "SKY CLEAR") {
-            if (this.phen) {
-                vis_clouds = `Visibility ${this.visibility} kilometers\n${this.phen}\n${this.clouds}\n`
-            } else {
-                vis_clouds = `Visibility ${this.visibility} kilometers\nClouds ${this.clouds}\n`
-
-            }
         } else {
+            if (this.visibility != null) {
+                vis_clouds += `Visibility ${this.visibility} kilometers\n`
+            }
             if (this.phen) {
-                vis_clouds = `Visibility ${this.visibility} kilometers\n${this.phen}\nClouds ${this.clouds}\n`
-            } else {
-                vis_clouds = `Visibility ${this.visibility} kilometers\nClouds ${this.clouds}\n`
-
+                vis_clouds += `${this.phen}\n`
+            }
+            if (this.clouds == "SKY CLEAR") {
+                vis_clouds += this.phen ? `${this.clouds}\n` : `Clouds ${this.clouds}\n`
+            } else if (this.clouds) {
+                vis_clouds += `Clouds ${this.clouds}${clouds_estimated}\n`
             }
         }
+        let temperature = ""
+        if (this.temperature != null) {
+            temperature = `Temperature ${this.temperature} degrees Celsius`
+            temperature += this.dew_point != null ? `, dew point ${this.dew_point} degrees Celsius.\n` : ".\n"
+        }
 
         let report_parts = [
-            `${this.airport_name} Terminal Information ${this.identifier}.\n`,
-            `Time ${this.time_zulu}\n`.replace("Z", " Zulu."),
-            `Visual Approach. Runway in use: ${this.runways_in_use}. Transition level 140.\n`,
-            `Frequency 123.325\n`,
-            `Wind ${this.wind_dir_f} at ${this.wind_speed} knots. ${wind_gust}. ${wind_vrb}\n`,
+            this.identifier ? `${this.airport_name} Terminal Information ${this.identifier}.\n` : `${this.airport_name} Terminal Information.\n`,
+            this.time_zulu ? `Time ${this.time_zulu}\n`.replace("Z", " Zulu.") : "",
+            this.data_age.remark ? `${this.data_age.remark}.\n` : "",
+            `Visual Approach. Runway in use: ${this.runways_in_use}.`,
+            this.transition_level != null ? ` Transition level ${this.transition_level}.\n` : "\n",
+            `Frequency ${this.frequency}\n`,
+            this.has_wind() ? `Wind ${this.wind_dir_f} at ${this.wind_speed} knots. ${wind_gust}. ${wind_vrb}\n` : "",
+            `${crosswind}`,
             `${vis_clouds}`,
-            `Temperature ${this.temperature} degrees Celsius, dew point ${this.dew_point} degrees Celsius.\n`,
-            `${this.altimeter}.\n`
+            temperature,
+            this.altimeter ? `${this.altimeter}.\n` : ""
         ];
 
+        if (this.trend) {
+            report_parts.push(`${this.get_trend_text()}.\n`);
+        }
+
+        if (this.density_altitude_advisory) {
+            report_parts.push(`${this.density_altitude_advisory}.\n`);
+        }
+
         if (this.special_info) {
             report_parts.push(`${this.special_info}.\n`);
         }
 
-        report_parts.push(`${this.acknowledgment}.`);
+        if (this.acknowledgment) {
+            report_parts.push(`${this.acknowledgment}.`);
+        }
 
         return report_parts.join("");
     }
 
-    get_datis_report() {
-        const identifierUpper = this.identifier.toUpperCase();
-        let vis_clouds = ""
+    /**
+     * Renders the D-ATIS (datalink) report.
+     * @param {string} [lang] - 'en' (default) or 'es'.
+     * @returns {string} The D-ATIS report.
+     */
+    get_datis_report(lang = "en") {
+        if (lang === "es") {
+            return this.get_datis_report_es();
+        }
+        const clouds_estimated = this.cloud_heights_estimated ? " (EST)" : ""
+        // Missing values are left out rather than printed as "null"
+        const vis_clouds = []
         if (this.visibility > 10 && this.clouds == "SKY CLEAR") {
-            vis_clouds = "CAVOK"
+            vis_clouds.push("CAVOK")
         } else {
+            if (this.visibility != null) {
+                vis_clouds.push(`VIS ${this.visibility} KM`)
+            }
             if (this.phen) {
-                vis_clouds = `VIS ${this.visibility} KM\n${this.phen}\nClouds ${this.clouds_short}`
-            } else {
-                vis_clouds = `VIS ${this.visibility} KM\nClouds ${this.clouds_short}`
-
+                vis_clouds.push(this.phen)
+            }
+            if (this.clouds_short) {
+                vis_clouds.push(`Clouds ${this.clouds_short}${clouds_estimated}`)
             }
         }
         let wind_gust = ""
@@ -156,72 +273,534 @@ class ATISReport {
             wind_gust = `${this.gust_dir_f}/${this.gust_speed}`
         }
         console.log(this.wind_vrb)
+        const header = [this.airport_name, "ATIS INFORMATION", this.identifier ? this.identifier.toUpperCase() : null, this.time_zulu];
         let datis_lines = [
-            `LERM ATIS INFORMATION ${identifierUpper} ${this.time_zulu}`.replace(":", ""),
-            `VFR APP RWY ${this.runways_in_use.toUpperCase()} TL 140`,
-            `FREQ 123.325`,
-            `WIND ${this.wind_dir_f}/${this.wind_speed} ${wind_gust} ${this.wind_vrb}`,
-            `${vis_clouds}`,
-            `TEMP/DP ${this.temperature.toUpperCase().replace(' ', '')}/${this.dew_point.toUpperCase().replace(' ', '')}`,
-            `${this.altimeter}`,
+            header.filter(part => part).join(" ").replace(":", "")
         ];
 
+        if (this.data_age.remark) {
+            datis_lines.push(this.data_age.remark);
+        }
+
+        datis_lines.push(
+            `VFR APP RWY ${this.runways_in_use.toUpperCase()}${this.transition_level != null ? ` TL ${this.transition_level}` : ""}`,
+            `FREQ ${this.frequency}`
+        );
+        if (this.has_wind()) {
+            datis_lines.push(`WIND ${this.wind_dir_f}/${this.wind_speed} ${wind_gust} ${this.wind_vrb}`);
+        }
+
+        if (this.crosswind) {
+            const crosswind_gust = this.crosswind.gust > this.crosswind.speed ? ` MAX ${this.crosswind.gust}KT` : "";
+            datis_lines.push(`XWIND ${this.crosswind.from} ${this.crosswind.speed}KT${crosswind_gust}`);
+        }
+
+        datis_lines.push(...vis_clouds);
+        if (this.temperature != null) {
+            datis_lines.push(`TEMP/DP ${this.temperature.toUpperCase().replace(' ', '')}/${(this.dew_point ?? "//").toUpperCase().replace(' ', '')}`);
+        }
+        if (this.altimeter) {
+            datis_lines.push(`${this.altimeter}`);
+        }
+
+        if (this.trend) {
+            datis_lines.push(`TREND ${this.get_trend_code()}`);
+        }
+
+        if (this.density_altitude_advisory) {
+            datis_lines.push(this.density_altitude_advisory);
+        }
+
         if (this.special_info) {
             datis_lines.push(`${this.special_info.toUpperCase()}`);
         }
 
-        datis_lines.push(`${this.acknowledgment.toUpperCase()}`);
+        if (this.acknowledgment) {
+            datis_lines.push(`${this.acknowledgment.toUpperCase()}`);
+        }
+
+        return datis_lines.join("\n");
+    }
+
+    /**
+     * Spanish version of get_full_report, with Spanish aviation phrasing ("Información LERM Alfa").
+     * @returns {string} The full report in Spanish.
+     */
+    get_full_report_es() {
+        const identifier = this.identifier ? toSpanishIdentifier(this.identifier) : null;
+        const identifierTitle = identifier ? identifier.charAt(0) + identifier.slice(1).toLowerCase() : null;
+
+        let wind_gust = ""
+        if (this.gust_speed > 0) {
+            wind_gust = ` Rachas de ${this.gust_dir_f} grados, ${this.gust_speed} nudos.`
+        }
+        let wind_vrb = ""
+        if (this.wind_vrb) {
+            wind_vrb = ` Variable entre ${this.wind_vrb}`.replace("/", " y ").replace("VRB ", "") + " grados."
+        }
+        let crosswind = ""
+        if (this.crosswind) {
+            const side = this.crosswind.from === "RIGHT" ? "derecha" : "izquierda";
+            crosswind = `Viento cruzado ${this.crosswind.speed} nudos por la ${side}`
+            if (this.crosswind.gust > this.crosswind.speed) {
+                crosswind += `, rachas de ${this.crosswind.gust} nudos`
+            }
+            crosswind += ".\n"
+        }
+        let vis_clouds = ''
+        if (this.visibility > 10 && this.clouds == "SKY CLEAR") {
+            vis_clouds = "CAVOK\n"
+        } else {
+            if (this.visibility != null) {
+                vis_clouds += `Visibilidad ${this.visibility} kilómetros\n`
+            }
+            if (this.phen) {
+                vis_clouds += `${translatePhenomenon(this.phen)}\n`
+            }
+            if (this.clouds == "SKY CLEAR") {
+                vis_clouds += `${translateClouds(this.clouds)}\n`
+            } else if (this.clouds) {
+                vis_clouds += `Nubes ${translateClouds(this.clouds)}${this.cloud_heights_estimated ? ", alturas estimadas" : ""}\n`
+            }
+        }
+        let temperature = ""
+        if (this.temperature != null) {
+            temperature = `Temperatura ${this.temperature} grados`
+            temperature += this.dew_point != null ? `, punto de rocío ${this.dew_point} grados.\n` : ".\n"
+        }
+
+        let report_parts = [
+            identifierTitle ? `Información ${this.airport_name} ${identifierTitle}.\n` : `Información ${this.airport_name}.\n`,
+            this.time_zulu ? `Hora ${this.time_zulu}\n`.replace("Z", " UTC.") : "",
+            this.data_age.remark ? `${translateRemarks(this.data_age.remark)}.\n` : "",
+            `Aproximación visual. Pista en servicio ${this.runways_in_use}.`,
+            this.transition_level != null ? ` Nivel de transición ${this.transition_level}.\n` : "\n",
+            `Frecuencia ${this.frequency}\n`,
+            this.has_wind() ? `Viento ${this.wind_dir_f} grados, ${this.wind_speed} nudos.${wind_gust}${wind_vrb}\n` : "",
+            `${crosswind}`,
+            `${vis_clouds}`,
+            temperature,
+            this.altimeter ? `Reglaje ${this.altimeter}.\n` : ""
+        ];
+
+        if (this.trend) {
+            report_parts.push(`${this.get_trend_text("es")}.\n`);
+        }
+
+        if (this.density_altitude_advisory) {
+            report_parts.push(`${translateRemarks(this.density_altitude_advisory)}.\n`);
+        }
+
+        if (this.special_info) {
+            report_parts.push(`${translateRemarks(this.special_info)}.\n`);
+        }
+
+        if (identifierTitle) {
+            report_parts.push(`Notifique en el contacto inicial que dispone de la información ${identifierTitle}.`);
+        }
+
+        return report_parts.join("");
+    }
+
+    /**
+     * Spanish version of get_datis_report.
+     * @returns {string} The D-ATIS report in Spanish.
+     */
+    get_datis_report_es() {
+        const identifier = this.identifier ? toSpanishIdentifier(this.identifier) : null;
+        const clouds_estimated = this.cloud_heights_estimated ? " (EST)" : ""
+        const vis_clouds = []
+        if (this.visibility > 10 && this.clouds == "SKY CLEAR") {
+            vis_clouds.push("CAVOK")
+        } else {
+            if (this.visibility != null) {
+                vis_clouds.push(`VIS ${this.visibility} KM`)
+            }
+            if (this.phen) {
+                vis_clouds.push(translatePhenomenon(this.phen).toUpperCase())
+            }
+            if (this.clouds_short) {
+                vis_clouds.push(`NUBES ${this.clouds_short}${clouds_estimated}`)
+            }
+        }
+        let wind_gust = ""
+        if (this.gust_speed > 0) {
+            wind_gust = `${this.gust_dir_f}/${this.gust_speed}`
+        }
+        const header = [this.airport_name, "INFORMACIÓN", identifier, this.time_zulu];
+        let datis_lines = [
+            header.filter(part => part).join(" ").replace(":", "")
+        ];
+
+        if (this.data_age.remark) {
+            datis_lines.push(translateRemarks(this.data_age.remark));
+        }
+
+        datis_lines.push(
+            `APCH VFR PISTA ${this.runways_in_use.toUpperCase()}${this.transition_level != null ? ` TL ${this.transition_level}` : ""}`,
+            `FREC ${this.frequency}`
+        );
+        if (this.has_wind()) {
+            datis_lines.push(`VIENTO ${this.wind_dir_f}/${this.wind_speed} ${wind_gust} ${this.wind_vrb}`);
+        }
+
+        if (this.crosswind) {
+            const side = this.crosswind.from === "RIGHT" ? "DCHA" : "IZDA";
+            const crosswind_gust = this.crosswind.gust > this.crosswind.speed ? ` MAX ${this.crosswind.gust}KT` : "";
+            datis_lines.push(`VIENTO CRUZADO ${side} ${this.crosswind.speed}KT${crosswind_gust}`);
+        }
+
+        datis_lines.push(...vis_clouds);
+        if (this.temperature != null) {
+            datis_lines.push(`TEMP/PR ${this.temperature.replace(' ', '')}/${(this.dew_point ?? "//").replace(' ', '')}`);
+        }
+        if (this.altimeter) {
+            datis_lines.push(`REGLAJE ${this.altimeter}`);
+        }
+
+        if (this.trend) {
+            datis_lines.push(`TENDENCIA ${this.get_trend_code()}`);
+        }
+
+        if (this.density_altitude_advisory) {
+            datis_lines.push(translateRemarks(this.density_altitude_advisory));
+        }
+
+        if (this.special_info) {
+            datis_lines.push(translateRemarks(this.special_info).toUpperCase());
+        }
+
+        if (identifier) {
+            datis_lines.push(`CONFIRME INFORMACIÓN ${identifier} EN EL CONTACTO INICIAL`);
+        }
 
         return datis_lines.join("\n");
     }
+
+    /**
+     * Encodes the TREND as the METAR trend group ("NOSIG", "BECMG FM1600 24015G25KT", "TEMPO FM1600 TL1700 RA BKN060").
+     * @returns {string | null} The trend group, or null without a trend.
+     */
+    get_trend_code() {
+        if (!this.trend) {
+            return null;
+        }
+        if (this.trend.type === "NOSIG") {
+            return "NOSIG";
+        }
+        const time = (value) => String(value || "").replace(/\D/g, "");
+        const trend_groups = [
+            this.trend.type,
+            `FM${time(this.trend.from)}`,
+            this.trend.until ? `TL${time(this.trend.until)}` : "",
+            this.trend.wind ? formatMetarWind(this.trend.wind.direction, this.trend.wind.speed, this.trend.wind.gust) : "",
+            this.trend.weather ? this.trend.weather.code : "",
+            this.trend.clouds_short ? formatMetarClouds(this.trend.clouds_short) : ""
+        ];
+        return trend_groups.filter(group => group).join(" ");
+    }
+
+    /**
+     * Renders the TREND in plain language ("Trend: becoming from 1600 Zulu, wind backing to 240 at 15 knots, gusting 25 knots").
+     * @param {string} [lang] - 'en' (default) or 'es'.
+     * @returns {string | null} The trend sentence (without the final stop), or null without a trend.
+     */
+    get_trend_text(lang = "en") {
+        if (!this.trend) {
+            return null;
+        }
+        const es = lang === "es";
+        if (this.trend.type === "NOSIG") {
+            return es ? "Tendencia: sin cambios significativos" : "Trend: no significant change";
+        }
+
+        const from = String(this.trend.from || "").replace("Z", "");
+        const until = this.trend.until ? String(this.trend.until).replace("Z", "") : null;
+        let trend_parts;
+        if (es) {
+            trend_parts = [until
+                ? `Tendencia: temporalmente entre las ${from} y las ${until} UTC`
+                : `Tendencia: evolucionando a partir de las ${from} UTC`];
+        } else {
+            trend_parts = [until
+                ? `Trend: temporarily from ${from} until ${until} Zulu`
+                : `Trend: becoming from ${from} Zulu`];
+        }
+
+        const wind = this.trend.wind;
+        if (wind) {
+            const direction = String(wind.direction).padStart(3, '0');
+            if (es) {
+                const turn = { BACKING: "rolando a la izquierda a ", VEERING: "rolando a la derecha a " }[wind.turn] || "";
+                trend_parts.push(`viento ${turn}${direction} grados, ${wind.speed} nudos`);
+                if (wind.gust) {
+                    trend_parts.push(`rachas de ${wind.gust} nudos`);
+                }
+            } else {
+                const turn = wind.turn ? `${wind.turn.toLowerCase()} to ` : "";
+                trend_parts.push(`wind ${turn}${direction} at ${wind.speed} knots`);
+                if (wind.gust) {
+                    trend_parts.push(`gusting ${wind.gust} knots`);
+                }
+            }
+        }
+        if (this.trend.weather) {
+            trend_parts.push(es ? translatePhenomenon(this.trend.weather.phrase) : this.trend.weather.phrase);
+        }
+        if (this.trend.clouds) {
+            trend_parts.push(es ? `nubes ${translateClouds(this.trend.clouds)}` : `clouds ${[].concat(this.trend.clouds).join(", ")}`);
+        }
+        return trend_parts.join(", ");
+    }
+
+    /**
+     * Encodes the report as a METAR string (e.g. "LERM 191450Z 19008G18KT 160V220 9999 FEW040 18/07 Q1021")
+     * so it can be pasted into flight-planning tools that only understand METAR.
+     * @returns {string} The METAR-format report.
+     */
+    get_metar_report() {
+        // A report without any observation is missing, not a METAR of slashes
+        if (this.data_age.status === "unavailable") {
+            return `${this.airport_name} NIL`;
+        }
+        const time = parseZuluTime(this.time_zulu);
+        const dayTime = time
+            ? `${String(this.day_zulu).padStart(2, '0')}${time.hours}${time.minutes}Z`
+            : "//////Z";
+
+        const metar_groups = [
+            this.airport_name,
+            dayTime,
+            formatMetarWind(this.wind_direction_true, this.wind_speed, this.gust_speed),
+            formatMetarWindVariation(this.wind_vrb_true, this.wind_speed),
+        ];
+
+        const weather = formatMetarWeather(this.phen);
+        if (this.visibility > 10 && this.clouds == "SKY CLEAR" && !weather) {
+            metar_groups.push("CAVOK");
+        } else {
+            metar_groups.push(formatMetarVisibility(this.visibility));
+            metar_groups.push(weather);
+            metar_groups.push(formatMetarClouds(this.clouds_short));
+        }
+
+        metar_groups.push(`${formatMetarTemperature(this.temperature)}/${formatMetarTemperature(this.dew_point)}`);
+        metar_groups.push(this.qnh != null ? `Q${String(Math.floor(this.qnh)).padStart(4, '0')}` : "Q////");
+
+        return metar_groups.filter(group => group).join(" ");
+    }
+
+    /**
+     * Renders the spoken broadcast as SSML with ICAO radiotelephony pronunciation,
+     * for any TTS engine or radio gateway.
+     * @returns {string} The SSML document.
+     */
+    get_ssml_report() {
+        return renderSsml(this);
+    }
 }
 
 
+// Values of '?lang=' and the report languages they render
+const REPORT_LANGUAGES = {
+    en: ["en"],
+    es: ["es"],
+    both: ["en", "es"]
+};
+
 // --- CLOUDFLARE PAGES FUNCTION HANDLER ---
 export async function onRequest(context) {
-    // Note: The URL and format parsing are no longer necessary for the primary logic
-    // const url = new URL(context.request.url);
-    // const format = url.searchParams.get('format'); 
+    // '?capture=1' records the KV state, the upstream exchanges and the response for offline replay
+    const url = new URL(context.request.url);
+    const airport = getAirportProfile(url.searchParams.get('airport'));
+    if (!airport || !isCaptureRequested(url, context.env)) {
+        return buildAtisResponse(context, fetch);
+    }
+
+    const capture = await startCapture(context.env.KV_ATIS, airport, context.request, context.env);
+    const response = await buildAtisResponse(context, capture.fetch);
+    const captureKey = await saveCapture(context.env.KV_ATIS, airport, capture, response);
+
+    const capturedResponse = new Response(response.body, response);
+    if (captureKey) {
+        capturedResponse.headers.set('X-ATIS-Capture', captureKey);
+    }
+    return capturedResponse;
+}
+
+/**
+ * Builds the ATIS response for a request.
+ * @param {object} context - The Pages Function context.
+ * @param {Function} fetchFn - The fetch implementation used for every upstream request.
+ * @returns {Promise<Response>} The response in the requested format.
+ */
+async function buildAtisResponse(context, fetchFn) {
+    // The JSON payload carries every format; '?format=metar' returns the bare METAR string
+    // and '?format=ssml' the spoken broadcast as SSML instead
+    const url = new URL(context.request.url);
+    const format = url.searchParams.get('format');
+    // '?lang=es|en|both' selects the language of the full and D-ATIS reports
+    const lang = url.searchParams.get('lang') || 'en';
     const KV_STORE = context.env.KV_ATIS;
 
-    // 1. Securely retrieve the API Key from environment variables
-    // Re-enabling environment variable usage (recommended for production)
-    const AEMET_API_KEY = context.env.AEMET_API_KEY;
-    if (!AEMET_API_KEY) {
-        return new Response("Configuration Error: AEMET_API_KEY secret is missing.", { status: 500 });
+    // 0. Select the airport profile ('?airport=ICAO', defaults to LERM)
+    const airport = getAirportProfile(url.searchParams.get('airport'));
+    if (!airport) {
+        return new Response(JSON.stringify({ error: `Unknown airport: ${url.searchParams.get('airport')}` }), {
+            status: 404,
+            headers: { 'Content-Type': 'application/json' }
+        });
+    }
+
+    if (!REPORT_LANGUAGES[lang]) {
+        return new Response(JSON.stringify({ error: `Unknown language: ${lang}` }), {
+            status: 400,
+            headers: { 'Content-Type': 'application/json' }
+        });
     }
 
-    const WINDY_API_KEY = context.env.WINDY_API_KEY;
-    if (!WINDY_API_KEY) {
-        return new Response("Configuration Error: WINDY_API_KEY secret is missing.", { status: 500 });
+    // 1. Securely retrieve the API keys of the configured sources from environment variables
+    const providers = getProviders(airport);
+    const missingSecrets = getMissingSecrets(providers, context.env);
+    if (missingSecrets.length > 0) {
+        return new Response(`Configuration Error: ${missingSecrets.join(", ")} secret is missing.`, { status: 500 });
     }
 
     try {
-        const weatherReport = new WeatherReportData()
-        // 2. Fetch and process the weather data (all steps remain the same)
-        const windyData = await fetchWindyData(WINDY_API_KEY)
-        weatherReport.mergeData(windyData);
-        const aemetData = await getFormattedAtisData(AEMET_API_KEY, KV_STORE);
-        weatherReport.mergeData(aemetData);
-        const LERMData = await fetchAndParseLERMConditions(KV_STORE);
-        weatherReport.wind_vrb = getVRBWind(weatherReport.wind_direction, LERMData.wind_direction);
-        weatherReport.mergeData(LERMData);
-        const atisData = formatReportForATIS(weatherReport);
+        // Each field is taken from the highest-priority fresh source (see DEFAULT_FUSION_CONFIG)
+        const weatherReport = new WeatherReportData({}, airport.fusion)
+        // 2. Fetch and process the weather data, recording where every value comes from
+        const sourceResults = await runProviders(providers, context.env, KV_STORE, airport, fetchFn);
+        const sourceData = Object.fromEntries(sourceResults.map(result => [result.provider.id, result.data]));
+        for (const result of sourceResults.filter(result => result.data && !result.provider.fieldStation)) {
+            weatherReport.mergeData(result.data, result.provider.provenance(result.data));
+        }
+        // The variation compares the wind of the stations on the field with the other sources
+        const modelWindDirection = weatherReport.wind_direction;
+        const fieldWindDirections = [];
+        for (const result of sourceResults.filter(result => result.data && result.provider.fieldStation)) {
+            weatherReport.mergeData(result.data, result.provider.provenance(result.data));
+            fieldWindDirections.push(result.data.wind_direction);
+        }
+
+        // 2b. The sources report true directions, runway numbers and the ATIS wind are magnetic.
+        // Directions are reported to the nearest ten degrees, like the METAR and the TREND.
+        // The METAR reports the true wind, so the true directions are kept for it
+        const magneticVariation = getMagneticVariation(airport, new Date());
+        const declination = magneticVariation.declination;
+        weatherReport.wind_direction_true = weatherReport.wind_direction;
+        weatherReport.wind_vrb_true = getVRBWind(modelWindDirection, fieldWindDirections.find(direction => direction != null));
+        const toReportedDirection = direction => roundDirectionToTen(trueToMagnetic(direction, declination));
+        weatherReport.wind_direction = toReportedDirection(weatherReport.wind_direction);
+        weatherReport.gust_direction = toReportedDirection(weatherReport.gust_direction);
+        weatherReport.wind_vrb = getVRBWind(
+            toReportedDirection(modelWindDirection),
+            toReportedDirection(fieldWindDirections.find(direction => direction != null))
+        );
+        // 2c. Cloud heights: no source measures them, the low layer is placed at the cloud base estimated
+        // from the fused temperature and dew point (Windy layers are rebuilt from their cover percentages)
+        const cloudBaseFt = estimateCloudBaseFt(weatherReport.temperature, weatherReport.dew_point);
+        const cloudLayers = weatherReport.getProvenance().clouds?.source === "windy"
+            ? buildWindyCloudLayers(sourceData.windy, cloudBaseFt)
+            : estimateCloudLayers(weatherReport.clouds_short, cloudBaseFt);
+        if (cloudLayers) {
+            weatherReport.clouds = cloudLayers.clouds;
+            weatherReport.clouds_short = cloudLayers.clouds_short;
+        }
+
+        // 2d. TREND of the next hours, from the Windy forecast series
+        const trend = buildTrend(sourceData.windy, getTrendCriteria(airport), declination);
+        const atisData = await formatReportForATIS(weatherReport, KV_STORE, airport, trend);
 
         // 3. Generate the ATIS report object
         const report = new ATISReport(atisData);
 
-        // 4. Generate BOTH report formats
+        // 4. Generate ALL report formats
         const fullReport = report.get_full_report();
         const datisReport = report.get_datis_report();
+        const metarReport = report.get_metar_report();
+
+        // 4b. Archive every report whose broadcast content changed, whichever format was requested
+        if (atisData.identifier) {
+            await archiveReport(KV_STORE, airport, {
+                issuedAt: atisData.issued_at,
+                identifier: atisData.identifier,
+                fullReport: fullReport,
+                datisReport: datisReport,
+                metarReport: metarReport,
+                decoded: atisData,
+                provenance: weatherReport.getProvenance(),
+                sources: { ...sourceData, magnetic: magneticVariation }
+            });
+        }
+
+        if (format === 'metar') {
+            return new Response(metarReport, {
+                headers: {
+                    'Content-Type': 'text/plain; charset=utf-8',
+                    'Cache-Control': 'no-cache, no-store, must-revalidate'
+                },
+            });
+        }
 
-        // 5. Return a single JSON response containing both reports
+        if (format === 'ssml') {
+            return new Response(report.get_ssml_report(), {
+                headers: {
+                    'Content-Type': 'application/ssml+xml; charset=utf-8',
+                    'Cache-Control': 'no-cache, no-store, must-revalidate'
+                },
+            });
+        }
+
+        // 5. Render the requested languages ('both' gives English then Spanish)
+        const translations = {};
+        for (const language of REPORT_LANGUAGES[lang]) {
+            translations[language] = {
+                fullReport: report.get_full_report(language),
+                datisReport: report.get_datis_report(language)
+            };
+        }
+        const languages = Object.values(translations);
+
+        // 6. Return a single JSON response containing all reports
         const combinedReports = {
-            fullReport: fullReport,
-            datisReport: datisReport,
-            rawAemet: aemetData,
-            rawLerm: LERMData,
-            rawWindy: windyData
+            fullReport: languages.map(translation => translation.fullReport).join("\n\n"),
+            datisReport: languages.map(translation => translation.datisReport).join("\n\n"),
+            translations: translations,
+            metarReport: metarReport,
+            transitionLevel: atisData.transition_level,
+            runway: {
+                designator: atisData.runways_in_use,
+                reason: atisData.runway_reason
+            },
+            runwayWinds: atisData.runway_winds,
+            provenance: weatherReport.getProvenance(),
+            dataAge: atisData.data_age,
+            trend: atisData.trend,
+            ceiling: atisData.ceiling,
+            fieldAltitudes: {
+                pressureAltitudeFt: atisData.pressure_altitude,
+                densityAltitudeFt: atisData.density_altitude
+            },
+            atisInfo: {
+                identifier: atisData.identifier,
+                issuedAt: atisData.issued_at,
+                observationTime: atisData.time_zulu,
+                isNewIssue: atisData.is_new_issue,
+                changeReasons: atisData.change_reasons
+            },
+            sources: Object.fromEntries(sourceResults.map(result => [result.provider.id, {
+                kind: result.provider.kind,
+                fromCache: result.fromCache,
+                skipped: result.skipped,
+                error: result.error,
+                health: result.health
+            }])),
+            rawSources: sourceData,
+            rawAemet: sourceData.aemet ?? null,
+            rawLerm: sourceData.lerm ?? null,
+            rawWindy: sourceData.windy ?? null,
+            rawMagnetic: magneticVariation
         };
 
         return new Response(JSON.stringify(combinedReports), {
@@ -333,41 +912,218 @@ function getVRBWind(windDir1, windDir2) {
     return "VRB " + formattedMin + "/" + formattedMax;
 }
 
+// Standard transition level table: QNH bands (hPa) and the flight levels the transition level sits
+// above the transition altitude, keeping a transition layer of at least 1000 ft.
+const TRANSITION_LEVEL_TABLE = [
+    { minQnh: 1031.7, levelsAboveTa: 5 },
+    { minQnh: 1013.3, levelsAboveTa: 10 },
+    { minQnh: 995.1, levelsAboveTa: 15 },
+    { minQnh: 977.2, levelsAboveTa: 20 },
+    { minQnh: 959.5, levelsAboveTa: 25 },
+    { minQnh: 942.2, levelsAboveTa: 30 }
+];
 
 /**
- * Determines the active runway (01 or 19) based on magnetic wind direction.
- * The function assumes a simple binary choice to align with the wind for safety and efficiency.
+ * Derives the transition level from the current QNH and the transition altitude,
+ * so that low-pressure days report a higher level.
  *
- * @param {number} windDirectionDegrees - The magnetic wind direction in degrees (0-360).
- * @returns {string} The suggested active runway ("01" or "19").
+ * @param {number} qnh - The QNH in hPa. Without a QNH the standard atmosphere (1013.25 hPa) is assumed.
+ * @param {number} transitionAltitudeFt - The transition altitude in feet (e.g. 13000).
+ * @returns {number} The transition level as a flight level number (e.g. 140).
  */
-function determineActiveRunway(windDirectionDegrees) {
-    // 1. Define the magnetic headings for the two runways.
-    const RWY_01_HDG = 10;  // 010 degrees
-    const RWY_19_HDG = 190; // 190 degrees
-
-    // 2. Normalize the wind direction to be within 0-360 degrees, just in case.
-    const windDir = windDirectionDegrees % 360;
-
-    // 3. Determine the difference between the wind and each runway heading.
-    // The calculation needs to handle the wrap-around at 360/0 degrees.
-
-    // Function to calculate the smallest angular difference (0-180)
-    const getAngularDifference = (angle1, angle2) => {
-        let diff = Math.abs(angle1 - angle2);
-        // If difference is greater than 180, subtract it from 360
-        return Math.min(diff, 360 - diff);
-    };
+function computeTransitionLevel(qnh, transitionAltitudeFt) {
+    const pressure = (qnh == null || isNaN(qnh)) ? 1013.25 : qnh;
+    const band = TRANSITION_LEVEL_TABLE.find(entry => pressure >= entry.minQnh);
+    // Below the last band the level keeps rising one step (5 FL) further
+    const levelsAboveTa = band ? band.levelsAboveTa : 35;
+
+    return Math.round(transitionAltitudeFt / 100) + levelsAboveTa;
+}
+
+/**
+ * Formats an ATIS time string in the single format of the reports, "HHMMZ".
+ * @param {string | null} timeZulu - The observation time in either source format.
+ * @returns {string | null} The time, or null if unparsable.
+ */
+function formatZuluTime(timeZulu) {
+    const time = parseZuluTime(timeZulu);
+    return time ? `${time.hours}${time.minutes}Z` : null;
+}
+
+/**
+ * Splits an ATIS time string ("14:50Z" from AEMET or "1450Z" from Windy/LERM) into its parts.
+ * @param {string} timeZulu - The observation time in either ATIS format.
+ * @returns {{hours: string, minutes: string} | null} Two-digit hours and minutes, or null if unparsable.
+ */
+function parseZuluTime(timeZulu) {
+    const match = /^(\d{2}):?(\d{2})\s*Z$/.exec(String(timeZulu).trim());
+    if (!match) {
+        return null;
+    }
+    return { hours: match[1], minutes: match[2] };
+}
+
+/**
+ * Works out the UTC day of month an observation belongs to. The sources only give HH:MM,
+ * so an observation time later than the current time must come from the previous day.
+ * @param {string} timeZulu - The observation time in ATIS format.
+ * @returns {number} The UTC day of month (1-31).
+ */
+function getObservationDay(timeZulu) {
+    const now = new Date();
+    const time = parseZuluTime(timeZulu);
+    if (time) {
+        const observationMinutes = Number(time.hours) * 60 + Number(time.minutes);
+        const nowMinutes = now.getUTCHours() * 60 + now.getUTCMinutes();
+        if (observationMinutes > nowMinutes) {
+            now.setUTCDate(now.getUTCDate() - 1);
+        }
+    }
+    return now.getUTCDate();
+}
+
+// --- METAR ENCODING HELPERS ---
+
+// Plain-language phenomena produced by the sources, mapped to METAR present-weather codes.
+const METAR_WEATHER_CODES = {
+    "RAIN": "RA",
+    "LIGHT RAIN": "-RA",
+    "RAIN SHOWERS": "SHRA",
+    "LIGHT RAIN SHOWERS": "-SHRA",
+    "DRIZZLE": "DZ",
+    "SNOW": "SN",
+    "LIGHT SNOW": "-SN",
+    "SNOW SHOWERS": "SHSN",
+    "LIGHT SNOW SHOWERS": "-SHSN",
+    "RAIN AND SNOW": "RASN",
+    "FREEZING RAIN": "FZRA",
+    "ICE PELLETS": "PL",
+    "THUNDERSTORM": "TS",
+    "THUNDERSTORM WITH LIGHT RAIN": "-TSRA",
+    "FOG": "FG",
+    "FOG/MIST": "BR",
+    "MIST": "BR",
+    "MIST / HAZE": "BR",
+    "HAZE": "HZ",
+    "CALIMA (DUST/SAND HAZE)": "DU"
+};
+
+// Present-weather groups that contaminate the runway and call for braking action advisories:
+// snow, freezing precipitation, ice pellets and any heavy precipitation
+const BRAKING_ACTION_WEATHER = /SN|FZ|PL|^\+/;
+
+/**
+ * Formats the wind group (dddffKT or dddffGggKT). Direction is rounded to the nearest ten degrees
+ * and the gust is only reported when it exceeds the mean speed by 10 knots or more.
+ */
+function formatMetarWind(direction, speed, gust) {
+    if (speed == null) {
+        return "/////KT";
+    }
+    const meanSpeed = Math.round(speed);
+    if (meanSpeed < 1) {
+        return "00000KT";
+    }
 
-    const diffRwy01 = getAngularDifference(windDir, RWY_01_HDG);
-    const diffRwy19 = getAngularDifference(windDir, RWY_19_HDG);
+    const dir = direction == null
+        ? "VRB"
+        : String((Math.round(direction / 10) * 10) % 360 || 360).padStart(3, '0');
+    const gustGroup = gust != null && gust - meanSpeed >= 10 ? `G${String(Math.round(gust)).padStart(2, '0')}` : "";
+
+    return `${dir}${String(meanSpeed).padStart(2, '0')}${gustGroup}KT`;
+}
 
-    // 4. Select the runway that minimizes the angular difference (i.e., closest to the wind).
-    if (diffRwy01 <= diffRwy19) {
-        // Runway 01 is closer to the wind direction.
-        return "01";
-    } else {
-        // Runway 19 is closer to the wind direction.
-        return "19";
+/**
+ * Converts the "VRB 160/220" variability string into the METAR dddVddd group.
+ * ICAO only reports the extremes when they differ by 60 degrees or more and the wind is 3 knots or above.
+ */
+function formatMetarWindVariation(windVrb, speed) {
+    const match = /(\d{3})\/(\d{3})/.exec(windVrb || "");
+    if (!match || speed == null || speed < 3) {
+        return "";
+    }
+    const from = Number(match[1]);
+    const to = Number(match[2]);
+    if ((to - from + 360) % 360 < 60) {
+        return "";
+    }
+    const round = (deg) => String((Math.round(deg / 10) * 10) % 360 || 360).padStart(3, '0');
+    return `${round(from)}V${round(to)}`;
+}
+
+/**
+ * Formats the visibility (reported in kilometres by the sources) as a four digit metre group.
+ */
+function formatMetarVisibility(visibilityKm) {
+    if (visibilityKm == null || isNaN(visibilityKm)) {
+        return "////";
+    }
+    if (visibilityKm >= 10) {
+        return "9999";
+    }
+    // Below 5 km METAR uses 100 m steps, above that 1000 m steps (always rounded down)
+    const step = visibilityKm < 5 ? 100 : 1000;
+    const meters = Math.floor((visibilityKm * 1000) / step) * step;
+    return String(meters).padStart(4, '0');
+}
+
+/**
+ * Maps the phenomenon field to a METAR present-weather group. Phrases qualified with an intensity
+ * and "SHOWERS" ("HEAVY RAIN AND SNOW SHOWERS" -> "+SHRASN") are built from the phrase they qualify.
+ * Values that already look like METAR codes (e.g. "SHRA", "-RA") are passed through unchanged.
+ */
+function formatMetarWeather(phenomenon) {
+    const key = String(phenomenon ?? "").toUpperCase().trim();
+    if (!key) {
+        return "";
+    }
+    if (METAR_WEATHER_CODES[key]) {
+        return METAR_WEATHER_CODES[key];
+    }
+    const qualified = /^(LIGHT |HEAVY )?(.+?)( SHOWERS)?$/.exec(key);
+    if (qualified && /^[A-Z]+$/.test(METAR_WEATHER_CODES[qualified[2]] || "")) {
+        const intensity = { "LIGHT ": "-", "HEAVY ": "+" }[qualified[1]] || "";
+        return `${intensity}${qualified[3] ? "SH" : ""}${METAR_WEATHER_CODES[qualified[2]]}`;
+    }
+    if (/^(\+|-|VC)?(MI|BC|PR|DR|BL|SH|TS|FZ)?(DZ|RA|SN|SG|PL|GR|GS|BR|FG|FU|VA|DU|SA|HZ|PO|SQ|FC|SS|DS)+$/.test(key)) {
+        return key;
+    }
+    return "";
+}
+
+/**
+ * Formats the cloud layers. Windy layers look like "BKN 5900ft" and become "BKN059";
+ * AEMET only gives an amount, so its height is reported as unknown ("BKN///").
+ */
+function formatMetarClouds(cloudsShort) {
+    if (cloudsShort == null) {
+        return "";
+    }
+    const layers = Array.isArray(cloudsShort) ? cloudsShort : [cloudsShort];
+    const groups = [];
+
+    for (const layer of layers) {
+        const match = /^(FEW|SCT|BKN|OVC)\s*(?:(\d+)\s*ft)?/i.exec(String(layer || "").trim());
+        if (!match) {
+            continue;
+        }
+        const height = match[2] != null
+            ? String(Math.min(999, Math.round(Number(match[2]) / 100))).padStart(3, '0')
+            : "///";
+        groups.push(`${match[1].toUpperCase()}${height}`);
+    }
+
+    return groups.length > 0 ? groups.join(" ") : "NSC";
+}
+
+/**
+ * Formats a temperature as two digits with the METAR "M" prefix for negative values.
+ */
+function formatMetarTemperature(value) {
+    const degrees = Math.round(Number(value));
+    if (value == null || value === "" || isNaN(degrees)) {
+        return "//";
     }
+    const formatted = String(Math.abs(degrees)).padStart(2, '0');
+    return degrees < 0 ? `M${formatted}` : formatted;
 }
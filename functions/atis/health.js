@@ -0,0 +1,33 @@
+import { getAirportProfile } from '../airports.js';
+import { buildHealthReport } from '../health.js';
+
+// --- CLOUDFLARE PAGES FUNCTION HANDLER ---
+// GET /atis/health[?airport=ICAO]: 200 when green or amber, 503 when red, so uptime monitors can check the status code
+export async function onRequestGet(context) {
+    const url = new URL(context.request.url);
+
+    const airport = getAirportProfile(url.searchParams.get('airport'));
+    if (!airport) {
+        return new Response(JSON.stringify({ error: `Unknown airport: ${url.searchParams.get('airport')}` }), {
+            status: 404,
+            headers: { 'Content-Type': 'application/json' }
+        });
+    }
+
+    try {
+        const health = await buildHealthReport(context.env.KV_ATIS, airport);
+        return new Response(JSON.stringify(health), {
+            status: health.status === "red" ? 503 : 200,
+            headers: {
+                'Content-Type': 'application/json',
+                'Cache-Control': 'no-cache, no-store, must-revalidate'
+            },
+        });
+    } catch (error) {
+        console.error("ATIS Health Error:", error.message);
+        return new Response(JSON.stringify({ status: "red", error: error.message }), {
+            status: 503,
+            headers: { 'Content-Type': 'application/json' }
+        });
+    }
+}
@@ -0,0 +1,81 @@
+import { getAirportProfile } from '../airports.js';
+import { getArchivedReports, historyToCsv } from '../history.js';
+
+// Range returned when '?from=' is not given
+const DEFAULT_HISTORY_HOURS = 24;
+
+/**
+ * Parses a range bound: an ISO timestamp ('2025-10-19T15:40Z') or epoch milliseconds.
+ * @param {string | null} value - The query parameter.
+ * @param {Date} fallback - Used when the parameter is missing.
+ * @returns {Date | null} The bound, or null if the parameter is not a valid time.
+ */
+function parseTimeParam(value, fallback) {
+    if (!value) {
+        return fallback;
+    }
+    const date = /^\d+$/.test(value) ? new Date(Number(value)) : new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+}
+
+function jsonError(message, status) {
+    return new Response(JSON.stringify({ error: message }), {
+        status: status,
+        headers: { 'Content-Type': 'application/json' }
+    });
+}
+
+// --- CLOUDFLARE PAGES FUNCTION HANDLER ---
+// GET /atis/history?from=...&to=...&format=json|csv[&airport=ICAO]
+export async function onRequestGet(context) {
+    const url = new URL(context.request.url);
+    const format = url.searchParams.get('format') || 'json';
+
+    // 1. Select the airport profile and validate the query
+    const airport = getAirportProfile(url.searchParams.get('airport'));
+    if (!airport) {
+        return jsonError(`Unknown airport: ${url.searchParams.get('airport')}`, 404);
+    }
+    if (format !== 'json' && format !== 'csv') {
+        return jsonError(`Unknown format: ${format}`, 400);
+    }
+    const to = parseTimeParam(url.searchParams.get('to'), new Date());
+    const from = to && parseTimeParam(url.searchParams.get('from'), new Date(to.getTime() - DEFAULT_HISTORY_HOURS * 3600 * 1000));
+    if (!from || !to) {
+        return jsonError("Invalid 'from' or 'to': use an ISO timestamp or epoch milliseconds", 400);
+    }
+    if (from > to) {
+        return jsonError("'from' must not be later than 'to'", 400);
+    }
+
+    try {
+        // 2. Read the reports issued in the range
+        const entries = await getArchivedReports(context.env.KV_ATIS, airport, from, to);
+
+        if (format === 'csv') {
+            return new Response(historyToCsv(entries), {
+                headers: {
+                    'Content-Type': 'text/csv; charset=utf-8',
+                    'Content-Disposition': `attachment; filename="${airport.icao}-atis-history.csv"`,
+                    'Cache-Control': 'no-cache, no-store, must-revalidate'
+                },
+            });
+        }
+
+        return new Response(JSON.stringify({
+            airport: airport.icao,
+            from: from.toISOString(),
+            to: to.toISOString(),
+            count: entries.length,
+            reports: entries
+        }), {
+            headers: {
+                'Content-Type': 'application/json',
+                'Cache-Control': 'no-cache, no-store, must-revalidate'
+            },
+        });
+    } catch (error) {
+        console.error("ATIS History Error:", error.message);
+        return jsonError("SERVER ERROR: " + error.message, 500);
+    }
+}
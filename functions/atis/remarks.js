@@ -0,0 +1,93 @@
+import { getAirportProfile } from '../airports.js';
+import { checkAdminAuthorization } from '../auth.js';
+import { createRemark, getRemarks, putRemarks, REMARK_TEMPLATES } from '../remarks.js';
+
+// --- CLOUDFLARE PAGES FUNCTION HANDLERS ---
+// Admin API for the operator remarks, every method needs 'Authorization: Bearer <ATIS_ADMIN_SECRET>':
+//   GET    /atis/remarks                  lists the remarks and the available templates
+//   POST   /atis/remarks                  {text} or {template, params}, optional validFrom/validTo (ISO)
+//   DELETE /atis/remarks?id=<remark id>   removes a remark
+// '?airport=ICAO' selects the airport, as on /atis.
+
+function jsonResponse(body, status = 200) {
+    return new Response(JSON.stringify(body), {
+        status: status,
+        headers: {
+            'Content-Type': 'application/json',
+            'Cache-Control': 'no-cache, no-store, must-revalidate'
+        }
+    });
+}
+
+/**
+ * Authorizes the request and selects the airport profile.
+ * @returns {{airport: object | null, error: Response | null}}
+ */
+function prepareRequest(context) {
+    const unauthorized = checkAdminAuthorization(context.request, context.env);
+    if (unauthorized) {
+        return { airport: null, error: unauthorized };
+    }
+    const url = new URL(context.request.url);
+    const airport = getAirportProfile(url.searchParams.get('airport'));
+    if (!airport) {
+        return { airport: null, error: jsonResponse({ error: `Unknown airport: ${url.searchParams.get('airport')}` }, 404) };
+    }
+    return { airport: airport, error: null };
+}
+
+export async function onRequestGet(context) {
+    const { airport, error } = prepareRequest(context);
+    if (error) {
+        return error;
+    }
+    const remarks = await getRemarks(context.env.KV_ATIS, airport);
+    return jsonResponse({ airport: airport.icao, remarks: remarks, templates: REMARK_TEMPLATES });
+}
+
+export async function onRequestPost(context) {
+    const { airport, error } = prepareRequest(context);
+    if (error) {
+        return error;
+    }
+
+    let remark;
+    try {
+        remark = createRemark(await context.request.json());
+    } catch (validationError) {
+        return jsonResponse({ error: validationError.message }, 400);
+    }
+
+    try {
+        const remarks = await getRemarks(context.env.KV_ATIS, airport);
+        await putRemarks(context.env.KV_ATIS, airport, [...remarks, remark]);
+        return jsonResponse({ airport: airport.icao, remark: remark }, 201);
+    } catch (storeError) {
+        console.error("ATIS Remarks Error:", storeError.message);
+        return jsonResponse({ error: "SERVER ERROR: " + storeError.message }, 500);
+    }
+}
+
+export async function onRequestDelete(context) {
+    const { airport, error } = prepareRequest(context);
+    if (error) {
+        return error;
+    }
+
+    const id = new URL(context.request.url).searchParams.get('id');
+    if (!id) {
+        return jsonResponse({ error: "Missing 'id'" }, 400);
+    }
+
+    try {
+        const remarks = await getRemarks(context.env.KV_ATIS, airport);
+        if (!remarks.some(remark => remark.id === id)) {
+            return jsonResponse({ error: `Unknown remark: ${id}` }, 404);
+        }
+        await putRemarks(context.env.KV_ATIS, airport, remarks.filter(remark => remark.id !== id));
+        return jsonResponse({ airport: airport.icao, deleted: id });
+    } catch (storeError) {
+        console.error("ATIS Remarks Error:", storeError.message);
+        return jsonResponse({ error: "SERVER ERROR: " + storeError.message }, 500);
+    }
+}
@@ -0,0 +1,91 @@
+import { airportKey } from './airports.js';
+import { detectSignificantChanges, getSignificantChangeRules } from './significantChange.js';
+
+// --- ATIS IDENTIFIER LOGIC ---
+const ATIS_IDENTIFIERS = [
+    "ALPHA", "BRAVO", "CHARLIE", "DELTA", "ECHO", "FOXTROT", "GOLF", "HOTEL",
+    "INDIA", "JULIET", "KILO", "LIMA", "MIKE", "NOVEMBER", "OSCAR", "PAPA",
+    "QUEBEC", "ROMEO", "SIERRA", "TANGO", "UNIFORM", "VICTOR", "WHISKEY",
+    "XRAY", "YANKEE", "ZULU"
+];
+
+// KV key (within the airport namespace) holding the letter currently on broadcast
+const ATIS_STATE_KEY = "atisState";
+
+/**
+ * Returns the UTC date (YYYY-MM-DD) used for the daily reset of the letter sequence.
+ * @param {Date} date - The date to format.
+ * @returns {string} The UTC date string.
+ */
+function getUtcDay(date) {
+    return date.toISOString().split('T')[0];
+}
+
+/**
+ * Retrieves the ATIS state stored in KV.
+ * @param {object} KVStore - The Cloudflare KV Namespace binding.
+ * @param {object} airport - The airport profile.
+ * @returns {Promise<object | null>} The stored state ({index, identifier, issuedAt, observationTime, day, changeReasons, snapshot}), or null.
+ */
+export async function getAtisState(KVStore, airport) {
+    try {
+        return await KVStore.get(airportKey(airport, ATIS_STATE_KEY), "json");
+    } catch (error) {
+        console.error("Could not read the ATIS state from KV:", error.message);
+        return null;
+    }
+}
+
+/**
+ * Determines the ATIS identifier for a report, advancing and persisting the letter only when the
+ * report differs significantly from the one last issued (see detectSignificantChanges).
+ * The sequence restarts at ALPHA on the first issue after 00Z.
+ *
+ * Workers KV has no compare-and-swap, so the next state is derived only from the stored state
+ * and the report: two isolates that read the same previous state compute and write the same
+ * letter, which is what keeps concurrent requests on one letter.
+ *
+ * @param {object} KVStore - The Cloudflare KV Namespace binding.
+ * @param {object} airport - The airport profile.
+ * @param {object} snapshot - The comparable snapshot of the new report (see buildReportSnapshot).
+ * @returns {Promise<object>} The state in use, with `isNew` set when a new letter was issued
+ * and `changeReasons` listing why the letter in use was issued.
+ */
+export async function issueIdentifier(KVStore, airport, snapshot) {
+    const now = new Date();
+    const today = getUtcDay(now);
+    const previous = await getAtisState(KVStore, airport);
+    const sameDay = previous && previous.day === today;
+
+    // 1. Compare with the report on broadcast; a new day always starts a new sequence
+    const changeReasons = sameDay
+        ? detectSignificantChanges(previous, snapshot, getSignificantChangeRules(airport), now)
+        : [previous ? "DAILY RESET AT 00Z" : "INITIAL ISSUE"];
+
+    // 2. Nothing significant changed: keep broadcasting the current letter
+    if (changeReasons.length === 0) {
+        return { ...previous, isNew: false };
+    }
+
+    // 3. Advance the letter, or start again at ALPHA
+    const index = sameDay ? (previous.index + 1) % ATIS_IDENTIFIERS.length : 0;
+
+    const state = {
+        index: index,
+        identifier: ATIS_IDENTIFIERS[index],
+        issuedAt: now.toISOString(),
+        observationTime: snapshot.observationTime,
+        day: today,
+        changeReasons: changeReasons,
+        snapshot: snapshot
+    };
+
+    try {
+        await KVStore.put(airportKey(airport, ATIS_STATE_KEY), JSON.stringify(state));
+    } catch (error) {
+        console.error("Could not persist the ATIS state to KV:", error.message);
+    }
+
+    return { ...state, isNew: true };
+}
+// --- END ATIS IDENTIFIER LOGIC ---
@@ -0,0 +1,47 @@
+// --- ADMIN AUTHENTICATION ---
+// Admin routes expect 'Authorization: Bearer <ATIS_ADMIN_SECRET>'
+
+/**
+ * Compares two strings in constant time, so the comparison doesn't leak how much of the secret matched.
+ */
+function timingSafeEqual(a, b) {
+    const encoder = new TextEncoder();
+    const left = encoder.encode(a);
+    const right = encoder.encode(b);
+    let difference = left.length ^ right.length;
+    for (let i = 0; i < left.length; i++) {
+        difference |= left[i] ^ (right[i % right.length] ?? 0);
+    }
+    return difference === 0;
+}
+
+/**
+ * Checks the admin credentials of a request.
+ * @param {Request} request - The incoming request.
+ * @param {object} env - The Pages Function environment.
+ * @returns {Response | null} An error response (503 without a configured secret, 401 on bad credentials),
+ * or null when the request is authorized.
+ */
+export function checkAdminAuthorization(request, env) {
+    const secret = env.ATIS_ADMIN_SECRET;
+    if (!secret) {
+        return new Response(JSON.stringify({ error: "Configuration Error: ATIS_ADMIN_SECRET secret is missing." }), {
+            status: 503,
+            headers: { 'Content-Type': 'application/json' }
+        });
+    }
+
+    const header = request.headers.get('Authorization') || "";
+    const token = header.startsWith("Bearer ") ? header.slice("Bearer ".length) : "";
+    if (!token || !timingSafeEqual(token, secret)) {
+        return new Response(JSON.stringify({ error: "Unauthorized" }), {
+            status: 401,
+            headers: {
+                'Content-Type': 'application/json',
+                'WWW-Authenticate': 'Bearer'
+            }
+        });
+    }
+    return null;
+}
+// --- END ADMIN AUTHENTICATION ---
@@ -0,0 +1,167 @@
+import { airportKey } from './airports.js';
+
+// --- CAPTURE MODE ---
+// A capture records everything a request depends on: the KV state of the airport before the request,
+// every upstream request/response exchange (both AEMET steps, Windy, the aeroclub page) and the
+// generated response. scripts/replay.mjs runs the pipeline again offline from a capture.
+//
+// Capturing is requested with '?capture=1' and only honoured when ATIS_CAPTURE_ENABLED is "true".
+const CAPTURE_PREFIX = "capture:";
+const CAPTURE_RETENTION_DAYS = 7;
+
+// Keys of the airport namespace that are not pipeline state (see history.js)
+const SNAPSHOT_EXCLUDED_PREFIXES = ["history:", CAPTURE_PREFIX];
+
+// Environment entries whose values are removed from the recorded requests (the Windy key travels in the body).
+// Shorter values are not real keys and would redact unrelated text.
+const SECRET_NAME_PATTERN = /KEY|SECRET|TOKEN/i;
+const MIN_SECRET_LENGTH = 8;
+
+/**
+ * Tells whether the request asks for a capture and capturing is enabled.
+ * @param {URL} url - The request URL.
+ * @param {object} env - The Pages Function environment.
+ * @returns {boolean} True if the request must be captured.
+ */
+export function isCaptureRequested(url, env) {
+    return url.searchParams.get('capture') === '1' && env.ATIS_CAPTURE_ENABLED === "true";
+}
+
+/**
+ * Replaces the secret values of the environment in a recorded string.
+ */
+function redactSecrets(text, secrets) {
+    let redacted = String(text);
+    for (const secret of secrets) {
+        redacted = redacted.split(secret).join("<redacted>");
+    }
+    return redacted;
+}
+
+/**
+ * Reads the pipeline state of the airport from KV (runway, letter, source caches...).
+ * @param {object} KVStore - The Cloudflare KV Namespace binding.
+ * @param {object} airport - The airport profile.
+ * @returns {Promise<object>} A map of key -> raw string value.
+ */
+async function snapshotKV(KVStore, airport) {
+    const prefix = airportKey(airport, "");
+    const snapshot = {};
+    let cursor = undefined;
+    do {
+        const page = await KVStore.list({ prefix: prefix, cursor: cursor });
+        for (const key of page.keys) {
+            const name = key.name.slice(prefix.length);
+            if (!SNAPSHOT_EXCLUDED_PREFIXES.some(excluded => name.startsWith(excluded))) {
+                snapshot[key.name] = await KVStore.get(key.name);
+            }
+        }
+        cursor = page.list_complete ? undefined : page.cursor;
+    } while (cursor);
+    return snapshot;
+}
+
+/**
+ * Starts a capture: snapshots the KV state and returns a fetch that records every exchange.
+ *
+ * @param {object} KVStore - The Cloudflare KV Namespace binding.
+ * @param {object} airport - The airport profile.
+ * @param {Request} request - The request being captured.
+ * @param {object} env - The Pages Function environment (its secrets are redacted).
+ * @returns {Promise<object>} The capture in progress; pass `capture.fetch` to the sources.
+ */
+export async function startCapture(KVStore, airport, request, env) {
+    const secrets = Object.entries(env)
+        .filter(([name, value]) => SECRET_NAME_PATTERN.test(name) && typeof value === "string" && value.length >= MIN_SECRET_LENGTH)
+        .map(([, value]) => value);
+
+    const capture = {
+        capturedAt: new Date().toISOString(),
+        airport: airport.icao,
+        request: { method: request.method, url: redactSecrets(request.url, secrets) },
+        kv: await snapshotKV(KVStore, airport),
+        exchanges: [],
+        response: null
+    };
+
+    // The exchange is recorded with the response body, the sources still read the original response
+    capture.fetch = async (input, init = {}) => {
+        const exchange = {
+            method: (init.method || "GET").toUpperCase(),
+            url: redactSecrets(input, secrets),
+            requestBody: init.body != null ? redactSecrets(init.body, secrets) : null
+        };
+        try {
+            const response = await fetch(input, init);
+            exchange.status = response.status;
+            exchange.contentType = response.headers.get('Content-Type');
+            exchange.body = await response.clone().text();
+            return response;
+        } catch (error) {
+            exchange.error = error.message;
+            throw error;
+        } finally {
+            capture.exchanges.push(exchange);
+        }
+    };
+
+    return capture;
+}
+
+/**
+ * Completes a capture with the generated response and stores it in KV.
+ *
+ * @param {object} KVStore - The Cloudflare KV Namespace binding.
+ * @param {object} airport - The airport profile.
+ * @param {object} capture - The capture in progress (see startCapture).
+ * @param {Response} response - The generated response (it is cloned, not consumed).
+ * @returns {Promise<string | null>} The KV key of the capture, or null if it could not be stored.
+ */
+export async function saveCapture(KVStore, airport, capture, response) {
+    const { fetch: captureFetch, ...record } = capture;
+    record.response = {
+        status: response.status,
+        contentType: response.headers.get('Content-Type'),
+        body: await response.clone().text()
+    };
+
+    const key = airportKey(airport, `${CAPTURE_PREFIX}${capture.capturedAt}`);
+    try {
+        await KVStore.put(key, JSON.stringify(record), { expirationTtl: CAPTURE_RETENTION_DAYS * 24 * 60 * 60 });
+        return key;
+    } catch (error) {
+        console.error("Could not store the capture:", error.message);
+        return null;
+    }
+}
+
+/**
+ * Creates a fetch that answers from the exchanges of a capture, in the order they were recorded.
+ * Requests are matched by method, URL and body (requests to the same URL, like the Windy models,
+ * differ in their body); a recorded network error is thrown again.
+ *
+ * @param {Array<object>} exchanges - The recorded exchanges.
+ * @returns {Function} The replaying fetch.
+ */
+export function createReplayFetch(exchanges) {
+    const pending = [...exchanges];
+    return async (input, init = {}) => {
+        const method = (init.method || "GET").toUpperCase();
+        const url = String(input);
+        const body = init.body != null ? String(init.body) : null;
+        const index = pending.findIndex(exchange => exchange.method === method && exchange.url === url
+            && (exchange.requestBody ?? null) === body);
+        if (index < 0) {
+            throw new Error(`No recorded response for ${method} ${url}`);
+        }
+        const [exchange] = pending.splice(index, 1);
+        if (exchange.error) {
+            throw new Error(exchange.error);
+        }
+        return new Response(exchange.body, {
+            status: exchange.status,
+            headers: exchange.contentType ? { 'Content-Type': exchange.contentType } : {}
+        });
+    };
+}
+// --- END CAPTURE MODE ---
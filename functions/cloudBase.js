@@ -0,0 +1,84 @@
+// --- CLOUD BASE AND CEILING ---
+// None of the sources measures cloud heights. The base of the lowest layer is estimated from the
+// surface temperature/dew point spread (convective condensation level, about 400 ft per °C) and the
+// sources only give the amounts. Heights are above the field, as in a METAR.
+const FT_PER_DEGREE_SPREAD = 400;
+// A layer is kept at least this far above the layer below it
+export const MIN_LAYER_SEPARATION_FT = 1000;
+
+// Short cloud amounts and their full report names
+const CLOUD_AMOUNT_NAMES = { FEW: "FEW", SCT: "SCATTERED", BKN: "BROKEN", OVC: "OVERCAST" };
+
+/**
+ * Estimates the base of convective cloud from the surface temperature and dew point.
+ * @param {number} temperature - Temperature in °C.
+ * @param {number} dewPoint - Dew point in °C.
+ * @returns {number | null} The cloud base above the surface in feet (nearest 100 ft), or null without both values.
+ */
+export function estimateCloudBaseFt(temperature, dewPoint) {
+    if (temperature == null || dewPoint == null || isNaN(temperature) || isNaN(dewPoint)) {
+        return null;
+    }
+    const spread = Math.max(0, temperature - dewPoint);
+    return Math.round((spread * FT_PER_DEGREE_SPREAD) / 100) * 100;
+}
+
+/**
+ * Parses the short cloud layers ("BKN 5900ft", "SCT") into amounts and heights; clear sky gives no layers.
+ * @param {Array<string> | string} cloudsShort - The short cloud layers of a source or the report.
+ * @returns {Array<{amount: string, height_ft: number | null}>} The layers, lowest first.
+ */
+function parseCloudLayers(cloudsShort) {
+    return [].concat(cloudsShort ?? [])
+        .map(layer => /^(FEW|SCT|BKN|OVC)\s*(?:(\d+)\s*ft)?/i.exec(String(layer).trim()))
+        .filter(match => match)
+        .map(match => ({ amount: match[1].toUpperCase(), height_ft: match[2] != null ? Number(match[2]) : null }))
+        .sort((a, b) => (a.height_ft ?? 0) - (b.height_ft ?? 0));
+}
+
+/**
+ * Returns the ceiling: the lowest broken or overcast layer.
+ * @param {Array<string> | string} cloudsShort - The short cloud layers.
+ * @returns {{amount: string, height_ft: number | null} | null} The ceiling layer, or null without one.
+ */
+export function getCeiling(cloudsShort) {
+    return parseCloudLayers(cloudsShort).find(layer => layer.amount === "BKN" || layer.amount === "OVC") || null;
+}
+
+/**
+ * Tells whether the cloud layers give heights. Every height we report comes from an estimate,
+ * never from a ceilometer, so the report says so whenever there is one.
+ * @param {Array<string> | string} cloudsShort - The short cloud layers.
+ * @returns {boolean} True if any layer has a height.
+ */
+export function hasCloudHeights(cloudsShort) {
+    return parseCloudLayers(cloudsShort).some(layer => layer.height_ft != null);
+}
+
+/**
+ * Places the layers of a source that only gives amounts ("SCT", "BKN"): the lowest one at the
+ * estimated cloud base, any layer above at least MIN_LAYER_SEPARATION_FT above the one below.
+ * Layers that already have a height keep it.
+ *
+ * @param {Array<string> | string} cloudsShort - The short cloud layers.
+ * @param {number | null} cloudBaseFt - The estimated cloud base (see estimateCloudBaseFt).
+ * @returns {{clouds: Array<string>, clouds_short: Array<string>} | null} The layers in the report formats
+ * ("BROKEN at 4800 feet", "BKN 4800ft"), or null for a clear sky or without a cloud base.
+ */
+export function estimateCloudLayers(cloudsShort, cloudBaseFt) {
+    const layers = parseCloudLayers(cloudsShort);
+    if (layers.length === 0 || cloudBaseFt == null) {
+        return null;
+    }
+
+    layers.forEach((layer, index) => {
+        const minimumFt = index === 0 ? cloudBaseFt : layers[index - 1].height_ft + MIN_LAYER_SEPARATION_FT;
+        layer.height_ft = layer.height_ft == null ? minimumFt : Math.max(layer.height_ft, minimumFt);
+    });
+
+    return {
+        clouds: layers.map(layer => `${CLOUD_AMOUNT_NAMES[layer.amount]} at ${layer.height_ft} feet`),
+        clouds_short: layers.map(layer => `${layer.amount} ${layer.height_ft}ft`)
+    };
+}
+// --- END CLOUD BASE AND CEILING ---
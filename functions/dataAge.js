@@ -0,0 +1,71 @@
+// --- DATA AGE LIMITS ---
+// Used when the airport profile doesn't define its own 'data_age' limits (minutes)
+const DEFAULT_DATA_AGE_LIMITS = {
+    reject_observation_after_minutes: 180, // Older observations are discarded by the sources
+    reject_forecast_after_minutes: 360,    // Forecast steps further than this from now are discarded
+    remark_after_minutes: 75               // The ATIS mentions the data age beyond this
+};
+
+// Fields that make a report an observation: without an observed value for them nothing is broadcast as current
+const CORE_OBSERVATION_FIELDS = ["wind_speed", "temperature", "qnh"];
+
+/**
+ * Returns the data age limits of the airport profile, completed with the defaults.
+ * @param {object} airport - The airport profile.
+ * @returns {object} The data age limits in minutes.
+ */
+export function getDataAgeLimits(airport) {
+    return { ...DEFAULT_DATA_AGE_LIMITS, ...(airport.data_age || {}) };
+}
+
+/**
+ * Computes how old a timestamp is.
+ * @param {string | number | null} timestamp - An ISO timestamp or epoch milliseconds.
+ * @param {number} [nowMs] - The current time in milliseconds.
+ * @returns {number | null} The age in whole minutes (negative for future times), or null if unknown.
+ */
+export function getAgeMinutes(timestamp, nowMs = Date.now()) {
+    if (timestamp == null) {
+        return null;
+    }
+    const ms = new Date(timestamp).getTime();
+    return isNaN(ms) ? null : Math.round((nowMs - ms) / 60000);
+}
+
+/**
+ * Tells whether a timestamp is older than a limit. Unknown timestamps count as too old,
+ * so that a source that cannot say when it observed is never broadcast as current.
+ * @param {string | number | null} timestamp - An ISO timestamp or epoch milliseconds.
+ * @param {number} maxAgeMinutes - The limit in minutes.
+ * @returns {boolean} True if the data must be rejected.
+ */
+export function isOlderThan(timestamp, maxAgeMinutes) {
+    const age = getAgeMinutes(timestamp);
+    return age == null || Math.abs(age) > maxAgeMinutes;
+}
+
+/**
+ * Decides how the ATIS has to qualify the observation data it is built from.
+ *
+ * @param {object} provenance - The provenance map of the merged report (WeatherReportData.getProvenance()).
+ * @param {object} limits - The data age limits (see getDataAgeLimits).
+ * @returns {{status: string, ageMinutes: number | null, remark: string | null}} 'current' when fresh,
+ * 'old' when the oldest core observation exceeds the remark limit, 'unavailable' when no core
+ * field comes from an observation (the sources have already discarded those past the reject limit).
+ */
+export function assessObservationAge(provenance, limits) {
+    const observed = CORE_OBSERVATION_FIELDS
+        .map(field => provenance[field])
+        .filter(origin => origin && origin.kind === "observation");
+
+    if (observed.length === 0) {
+        return { status: "unavailable", ageMinutes: null, remark: "OBSERVATION DATA UNAVAILABLE" };
+    }
+
+    const ageMinutes = Math.max(...observed.map(origin => origin.ageMinutes ?? 0));
+    if (ageMinutes > limits.remark_after_minutes) {
+        return { status: "old", ageMinutes: ageMinutes, remark: `OBSERVATION DATA ${ageMinutes} MINUTES OLD` };
+    }
+    return { status: "current", ageMinutes: ageMinutes, remark: null };
+}
+// --- END DATA AGE LIMITS ---
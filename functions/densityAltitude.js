@@ -0,0 +1,92 @@
+// --- PRESSURE AND DENSITY ALTITUDE ---
+const STANDARD_PRESSURE_HPA = 1013.25;
+const STANDARD_DENSITY_KG_M3 = 1.225;
+const FT_PER_M = 3.28084;
+const DRY_AIR_GAS_CONSTANT = 287.058;   // J/(kg·K)
+const WATER_VAPOR_GAS_CONSTANT = 461.495; // J/(kg·K)
+const KELVIN_OFFSET = 273.15;
+
+// Used when the airport profile doesn't define 'density_altitude_advisory_ft'
+const DEFAULT_DENSITY_ALTITUDE_ADVISORY_FT = 5000;
+
+/**
+ * Converts a QNH to the pressure at the field (ISA lapse rate).
+ * @param {number} qnh - QNH in hPa.
+ * @param {number} elevationFt - Field elevation in feet.
+ * @returns {number} Station pressure in hPa.
+ */
+function qnhToStationPressure(qnh, elevationFt) {
+    const elevationM = elevationFt / FT_PER_M;
+    return qnh * Math.pow(1 - (0.0065 * elevationM) / 288.15, 5.25588);
+}
+
+/**
+ * Computes the pressure altitude of the field: the altitude of its station pressure in the standard atmosphere.
+ * @param {number} elevationFt - Field elevation in feet.
+ * @param {number} qnh - QNH in hPa.
+ * @returns {number | null} Pressure altitude in feet (rounded), or null without a QNH.
+ */
+export function computePressureAltitude(elevationFt, qnh) {
+    if (qnh == null || isNaN(qnh)) {
+        return null;
+    }
+    const stationPressure = qnhToStationPressure(qnh, elevationFt);
+    const pressureAltitudeFt = 145366.45 * (1 - Math.pow(stationPressure / STANDARD_PRESSURE_HPA, 0.190284));
+    return Math.round(pressureAltitudeFt);
+}
+
+/**
+ * Computes the density altitude of the field: the altitude of its air density in the standard atmosphere.
+ * The dew point accounts for humidity (moist air is less dense); without it dry air is assumed.
+ *
+ * @param {number} elevationFt - Field elevation in feet.
+ * @param {number} qnh - QNH in hPa.
+ * @param {number} temperature - Temperature in °C.
+ * @param {number | null} dewPoint - Dew point in °C.
+ * @returns {number | null} Density altitude in feet (rounded), or null without QNH or temperature.
+ */
+export function computeDensityAltitude(elevationFt, qnh, temperature, dewPoint) {
+    if (qnh == null || isNaN(qnh) || temperature == null || isNaN(temperature)) {
+        return null;
+    }
+    const stationPressurePa = qnhToStationPressure(qnh, elevationFt) * 100;
+    const temperatureK = Number(temperature) + KELVIN_OFFSET;
+
+    // Vapour pressure from the dew point (Magnus formula), in Pa
+    const vaporPressurePa = (dewPoint == null || isNaN(dewPoint))
+        ? 0
+        : 610.78 * Math.pow(10, (7.5 * dewPoint) / (237.3 + Number(dewPoint)));
+
+    const density = (stationPressurePa - vaporPressurePa) / (DRY_AIR_GAS_CONSTANT * temperatureK) +
+        vaporPressurePa / (WATER_VAPOR_GAS_CONSTANT * temperatureK);
+
+    const densityAltitudeM = 44330.8 * (1 - Math.pow(density / STANDARD_DENSITY_KG_M3, 0.234969));
+    return Math.round(densityAltitudeM * FT_PER_M);
+}
+
+/**
+ * Computes the pressure and density altitude of the airport and whether an advisory must be broadcast.
+ *
+ * @param {object} reportData - The merged weather data (qnh, temperature, dew_point).
+ * @param {object} airport - The airport profile (elevation_ft, density_altitude_advisory_ft).
+ * @returns {{pressure_altitude_ft: number | null, density_altitude_ft: number | null, advisory: string | null}}
+ */
+export function computeFieldAltitudes(reportData, airport) {
+    const elevationFt = airport.elevation_ft || 0;
+    const threshold = airport.density_altitude_advisory_ft ?? DEFAULT_DENSITY_ALTITUDE_ADVISORY_FT;
+    const pressureAltitude = computePressureAltitude(elevationFt, reportData.qnh);
+    const densityAltitude = computeDensityAltitude(elevationFt, reportData.qnh, reportData.temperature, reportData.dew_point);
+
+    let advisory = null;
+    if (densityAltitude != null && densityAltitude >= threshold) {
+        // Broadcast to the nearest 100 ft
+        advisory = `HIGH DENSITY ALTITUDE, ${Math.round(densityAltitude / 100) * 100} FT`;
+    }
+
+    return {
+        pressure_altitude_ft: pressureAltitude,
+        density_altitude_ft: densityAltitude,
+        advisory: advisory
+    };
+}
+// --- END PRESSURE AND DENSITY ALTITUDE ---
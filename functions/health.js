@@ -0,0 +1,113 @@
+import { getAtisState } from './atisIdentifier.js';
+import { getAgeMinutes } from './dataAge.js';
+import { getProviders, getProviderState, getProviderStateKey } from './providers.js';
+import { getSignificantChangeRules } from './significantChange.js';
+
+// --- PIPELINE HEALTH ---
+// Status of a source and of the whole pipeline, for external uptime monitors:
+// green  - every source answered on its last attempt
+// amber  - some source is failing, the ATIS is built from the others, or the letter is older than
+//          the significant change maximum age (a new one should have been issued by now)
+// red    - no observation source is available, no ATIS has been issued, or the letter is stuck
+const HEALTH_STATUS = { GREEN: "green", AMBER: "amber", RED: "red" };
+
+// Used when the airport profile doesn't define its own 'health' limits
+const DEFAULT_HEALTH_LIMITS = {
+    stuck_atis_minutes: 180 // A letter older than this is considered stuck
+};
+
+/**
+ * Returns the health limits of the airport profile, completed with the defaults.
+ * @param {object} airport - The airport profile.
+ * @returns {object} The health limits (minutes).
+ */
+export function getHealthLimits(airport) {
+    return { ...DEFAULT_HEALTH_LIMITS, ...(airport.health || {}) };
+}
+
+/**
+ * Classifies the health of one source.
+ * @param {object} health - The provider health (see getProviderState).
+ * @param {number} nowMs - The current time in milliseconds.
+ * @returns {string} 'green', 'amber' (failing, still tried) or 'red' (circuit open, or never succeeded).
+ */
+function getSourceStatus(health, nowMs) {
+    const circuitOpen = health.circuitOpenUntil && new Date(health.circuitOpenUntil).getTime() > nowMs;
+    if (circuitOpen || !health.lastSuccessAt) {
+        return HEALTH_STATUS.RED;
+    }
+    return health.consecutiveFailures > 0 ? HEALTH_STATUS.AMBER : HEALTH_STATUS.GREEN;
+}
+
+/**
+ * Reads the cache status a provider reports about itself (its own cache, not the registry's).
+ */
+async function getSourceCacheStatus(provider, KVStore, airport, nowMs) {
+    if (!provider.cacheStatus) {
+        return null;
+    }
+    try {
+        const cache = await provider.cacheStatus(KVStore, airport);
+        return { ...cache, ageMinutes: getAgeMinutes(cache.cachedAt, nowMs) };
+    } catch (error) {
+        return { error: error.message };
+    }
+}
+
+/**
+ * Builds the health report of the ATIS pipeline of an airport from the state stored in KV.
+ *
+ * @param {object} KVStore - The Cloudflare KV Namespace binding.
+ * @param {object} airport - The airport profile.
+ * @returns {Promise<object>} {status, checkedAt, airport, sources: {[id]: {...}}, atis: {identifier, issuedAt, ageMinutes}}.
+ */
+export async function buildHealthReport(KVStore, airport) {
+    const nowMs = Date.now();
+
+    // 1. Sources
+    const sources = {};
+    const providers = getProviders(airport);
+    for (const provider of providers) {
+        const state = await getProviderState(KVStore, airport, provider.id);
+        sources[provider.id] = {
+            status: getSourceStatus(state.health, nowMs),
+            kind: provider.kind,
+            ...state.health,
+            cacheKey: getProviderStateKey(airport, provider.id),
+            cacheAgeMinutes: getAgeMinutes(state.fetchedAt, nowMs),
+            sourceCache: await getSourceCacheStatus(provider, KVStore, airport, nowMs)
+        };
+    }
+
+    // 2. Letter on broadcast
+    const atisState = await getAtisState(KVStore, airport);
+    const atis = {
+        identifier: atisState?.identifier ?? null,
+        issuedAt: atisState?.issuedAt ?? null,
+        observationTime: atisState?.observationTime ?? null,
+        ageMinutes: getAgeMinutes(atisState?.issuedAt, nowMs)
+    };
+
+    // 3. Overall status
+    const statuses = providers.map(provider => sources[provider.id].status);
+    const observationAvailable = providers.some(provider =>
+        provider.kind === "observation" && sources[provider.id].status !== HEALTH_STATUS.RED
+    );
+    const maxLetterAge = getSignificantChangeRules(airport).max_report_age_minutes;
+    const stuckLetterAge = getHealthLimits(airport).stuck_atis_minutes;
+    let status = HEALTH_STATUS.GREEN;
+    if (!observationAvailable || !atis.identifier || !(atis.ageMinutes <= stuckLetterAge)) {
+        status = HEALTH_STATUS.RED;
+    } else if (statuses.some(sourceStatus => sourceStatus !== HEALTH_STATUS.GREEN) || atis.ageMinutes > maxLetterAge) {
+        status = HEALTH_STATUS.AMBER;
+    }
+
+    return {
+        status: status,
+        checkedAt: new Date(nowMs).toISOString(),
+        airport: airport.icao,
+        sources: sources,
+        atis: atis
+    };
+}
+// --- END PIPELINE HEALTH ---
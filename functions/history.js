@@ -0,0 +1,175 @@
+import { airportKey } from './airports.js';
+
+// --- ATIS HISTORY ARCHIVE ---
+// Broadcast reports are stored under time-indexed keys ("LERM:history:2025-10-19T14:50:00.000Z"), so a
+// KV list over the prefix returns them in chronological order. KV expires them after the retention period.
+// A report is archived whenever its broadcast content changes, with or without a new letter.
+// Keys are listed one UTC day ("LERM:history:2025-10-19") at a time, so a query only reads its own days.
+const HISTORY_PREFIX = "history:";
+// KV key (within the airport namespace) holding the content hash of the last archived report
+const LAST_ARCHIVED_KEY = "historyLast";
+
+// Decoded fields whose change archives the report. The data-age remark (its age changes every minute)
+// and the TREND are left out, the data-age status is kept so a report going stale is archived once
+const ARCHIVED_CONTENT_FIELDS = [
+    "identifier", "time_zulu", "runways_in_use", "transition_level",
+    "wind_dir_f", "wind_speed", "gust_dir_f", "gust_speed", "wind_vrb", "crosswind",
+    "visibility", "phen", "clouds", "temperature", "dew_point", "altimeter", "special_info"
+];
+// Used when the airport profile doesn't define 'history_retention_days'
+const DEFAULT_RETENTION_DAYS = 30;
+// Upper bound of reports returned by one history query
+const MAX_HISTORY_RESULTS = 1000;
+
+// Columns of the CSV export: [header, value of the archived entry]
+const CSV_COLUMNS = [
+    ["archived_at", entry => entry.archivedAt],
+    ["issued_at", entry => entry.issuedAt],
+    ["identifier", entry => entry.identifier],
+    ["observation_time", entry => entry.decoded.time_zulu],
+    ["runway", entry => entry.decoded.runways_in_use],
+    ["wind_direction", entry => entry.decoded.wind_direction],
+    ["wind_speed", entry => entry.decoded.wind_speed],
+    ["gust_speed", entry => entry.decoded.gust_speed],
+    ["wind_vrb", entry => entry.decoded.wind_vrb],
+    ["visibility", entry => entry.decoded.visibility],
+    ["clouds", entry => [].concat(entry.decoded.clouds_short ?? []).join(" ")],
+    ["phenomenon", entry => entry.decoded.phen],
+    ["temperature", entry => entry.decoded.temperature],
+    ["dew_point", entry => entry.decoded.dew_point],
+    ["qnh", entry => entry.decoded.qnh],
+    ["special_info", entry => entry.decoded.special_info],
+    ["metar", entry => entry.metarReport],
+    ["datis", entry => entry.datisReport]
+];
+
+/**
+ * Hashes the broadcast content of a report (see ARCHIVED_CONTENT_FIELDS).
+ * @param {object} decoded - The decoded report fields.
+ * @returns {Promise<string>} The SHA-256 hash, in hexadecimal.
+ */
+async function hashBroadcastContent(decoded) {
+    const content = ARCHIVED_CONTENT_FIELDS.map(field => decoded[field] ?? null);
+    content.push(decoded.data_age ? decoded.data_age.status : null);
+    const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(JSON.stringify(content)));
+    return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, "0")).join("");
+}
+
+/**
+ * Stores the broadcast report in the history archive when its content differs from the last archived one,
+ * so the archive holds every report that was on air, not only the ones issued with a new letter.
+ *
+ * @param {object} KVStore - The Cloudflare KV Namespace binding.
+ * @param {object} airport - The airport profile (history_retention_days).
+ * @param {object} entry - The broadcast report: {issuedAt, identifier, fullReport, datisReport, metarReport,
+ * decoded, sources}; `sources` holds the parsed data of each source, the upstream payloads are only kept by captures.
+ * @returns {Promise<boolean>} True if the report was archived.
+ */
+export async function archiveReport(KVStore, airport, entry) {
+    const retentionDays = airport.history_retention_days || DEFAULT_RETENTION_DAYS;
+    try {
+        const content = await hashBroadcastContent(entry.decoded);
+        const last = await KVStore.get(airportKey(airport, LAST_ARCHIVED_KEY), "json");
+        if (last && last.content === content) {
+            return false;
+        }
+
+        // Keyed by the archive time: reports broadcast under the same letter share its issue time
+        const archivedAt = new Date().toISOString();
+        await KVStore.put(
+            airportKey(airport, `${HISTORY_PREFIX}${archivedAt}`),
+            JSON.stringify({ archivedAt: archivedAt, ...entry }),
+            { expirationTtl: retentionDays * 24 * 60 * 60 }
+        );
+        await KVStore.put(airportKey(airport, LAST_ARCHIVED_KEY), JSON.stringify({ archivedAt: archivedAt, content: content }));
+        return true;
+    } catch (error) {
+        // The report has been broadcast anyway, a failed archive must not break the broadcast
+        console.error("Could not archive the ATIS report:", error.message);
+        return false;
+    }
+}
+
+/**
+ * Lists the archive keys of one UTC day, oldest first.
+ * @param {object} KVStore - The Cloudflare KV Namespace binding.
+ * @param {string} dayPrefix - The key prefix of the day (e.g. "LERM:history:2025-10-19").
+ * @returns {Promise<Array<string>>} The key names.
+ */
+async function listDayKeys(KVStore, dayPrefix) {
+    const keys = [];
+    let cursor = undefined;
+    do {
+        const page = await KVStore.list({ prefix: dayPrefix, cursor: cursor });
+        keys.push(...page.keys.map(key => key.name));
+        cursor = page.list_complete ? undefined : page.cursor;
+    } while (cursor);
+    return keys.sort();
+}
+
+/**
+ * Retrieves the archived reports broadcast within a time range, oldest first. The last report archived
+ * before the range is included too: it was still on air at its start.
+ *
+ * @param {object} KVStore - The Cloudflare KV Namespace binding.
+ * @param {object} airport - The airport profile (history_retention_days bounds the search before the range).
+ * @param {Date} from - Start of the range (inclusive).
+ * @param {Date} to - End of the range (inclusive).
+ * @returns {Promise<Array<object>>} The archived entries.
+ */
+export async function getArchivedReports(KVStore, airport, from, to) {
+    const prefix = airportKey(airport, HISTORY_PREFIX);
+    const fromKey = `${prefix}${from.toISOString()}`;
+    const toKey = `${prefix}${to.toISOString()}`;
+    const dayPrefix = date => `${prefix}${date.toISOString().slice(0, 10)}`;
+    const DAY_MS = 24 * 60 * 60 * 1000;
+
+    // 1. Collect the keys within the range, a day at a time (ISO timestamps sort chronologically)
+    const keys = [];
+    const firstDay = new Date(`${from.toISOString().slice(0, 10)}T00:00:00Z`);
+    for (let day = firstDay; day <= to && keys.length < MAX_HISTORY_RESULTS; day = new Date(day.getTime() + DAY_MS)) {
+        keys.push(...(await listDayKeys(KVStore, dayPrefix(day))).filter(key => key >= fromKey && key <= toKey));
+    }
+
+    // 2. The last key before the range, searched back day by day within the retention period
+    const retentionDays = airport.history_retention_days || DEFAULT_RETENTION_DAYS;
+    for (let back = 0; back <= retentionDays; back++) {
+        const dayKeys = (await listDayKeys(KVStore, dayPrefix(new Date(firstDay.getTime() - back * DAY_MS))))
+            .filter(key => key < fromKey);
+        if (dayKeys.length > 0) {
+            keys.unshift(dayKeys[dayKeys.length - 1]);
+            break;
+        }
+    }
+
+    // 3. Fetch the entries
+    const entries = await Promise.all(
+        keys.slice(0, MAX_HISTORY_RESULTS).map(key => KVStore.get(key, "json"))
+    );
+    return entries.filter(entry => entry);
+}
+
+/**
+ * Escapes a value for a CSV cell.
+ */
+function toCsvCell(value) {
+    if (value == null) {
+        return "";
+    }
+    const text = String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Converts archived entries to CSV, one row per issued report.
+ * @param {Array<object>} entries - The archived entries.
+ * @returns {string} The CSV document, with a header row.
+ */
+export function historyToCsv(entries) {
+    const rows = [CSV_COLUMNS.map(([header]) => header).join(",")];
+    for (const entry of entries) {
+        rows.push(CSV_COLUMNS.map(([, getValue]) => toCsvCell(getValue(entry))).join(","));
+    }
+    return rows.join("\n");
+}
+// --- END ATIS HISTORY ARCHIVE ---
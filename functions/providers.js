@@ -0,0 +1,232 @@
+import { airportKey } from './airports.js';
+import { aemetProvider } from './aemet.js';
+import { lermProvider } from './robleEMA.js';
+import { windyProvider } from './windy.js';
+
+// --- WEATHER SOURCE PROVIDERS ---
+// Every weather source implements the same contract, so onRequest can iterate them:
+//
+// {
+//     id: "windy",                      // Source id, as used by the airport profile 'sources' and the fusion priorities
+//     kind: "forecast",                 // Default kind of its data: 'observation' or 'forecast'
+//     ttlSeconds: 600,                  // A successful result is reused for this long instead of fetching again
+//     timeoutMs: 8000,                  // The fetch is cancelled after this long, the ATIS is built without it
+//     requiredSecrets: ["WINDY_API_KEY"],
+//     fieldStation: false,              // True for a station on the field itself (its wind sets the variation)
+//     async fetch(env, KVStore, airport, fetchFn, signal) // Resolves to WeatherReportData fields (with observedAt), throws on failure;
+//                                       // every upstream request goes through fetchFn, so it can be captured and is
+//                                       // aborted with the signal at the timeout; KVStore ignores writes from then on
+//     provenance(data)                  // The provenance of its data for WeatherReportData.mergeData
+//     async cacheStatus(KVStore, airport) // Optional: {key, value, cachedAt} of the source's own cache
+// }
+//
+// A new station or model is added by implementing the contract in its module, registering it
+// below and configuring it in the airport profile 'sources'.
+const PROVIDERS = [windyProvider, aemetProvider, lermProvider];
+
+// KV key prefix (within the airport namespace) of the last result and health of each provider
+const PROVIDER_STATE_PREFIX = "source:";
+
+// Used when the provider doesn't define its own 'timeoutMs'
+const DEFAULT_TIMEOUT_MS = 8000;
+
+// Used when the airport profile doesn't define its own 'circuit_breaker'
+const DEFAULT_CIRCUIT_BREAKER = {
+    failure_threshold: 3, // Consecutive failures that open the circuit
+    cooldown_minutes: 10  // The source is skipped for this long, then tried again once
+};
+
+/**
+ * Returns the registered providers configured for the airport (the keys of its profile 'sources').
+ * @param {object} airport - The airport profile.
+ * @returns {Array<object>} The providers, in registry order.
+ */
+export function getProviders(airport) {
+    return PROVIDERS.filter(provider => airport.sources && airport.sources[provider.id]);
+}
+
+/**
+ * Lists the secrets the providers need that are missing from the environment.
+ * @param {Array<object>} providers - The providers to check.
+ * @param {object} env - The Pages Function environment.
+ * @returns {Array<string>} The names of the missing secrets.
+ */
+export function getMissingSecrets(providers, env) {
+    const required = providers.flatMap(provider => provider.requiredSecrets || []);
+    return [...new Set(required)].filter(secret => !env[secret]);
+}
+
+/**
+ * Returns the circuit breaker settings of the airport profile, completed with the defaults.
+ * @param {object} airport - The airport profile.
+ * @returns {object} The circuit breaker settings.
+ */
+export function getCircuitBreakerSettings(airport) {
+    return { ...DEFAULT_CIRCUIT_BREAKER, ...(airport.circuit_breaker || {}) };
+}
+
+/**
+ * Rejects when a promise doesn't settle before the signal aborts.
+ * @param {Promise} promise - The pending operation.
+ * @param {AbortSignal} signal - The timeout signal of the operation (see AbortSignal.timeout).
+ * @param {number} timeoutMs - The time limit in milliseconds, for the error message.
+ * @param {string} label - Names the operation in the error message.
+ * @returns {Promise} The result of the operation.
+ */
+function withTimeout(promise, signal, timeoutMs, label) {
+    let onAbort;
+    const timeout = new Promise((resolve, reject) => {
+        onAbort = () => reject(new Error(`${label} timed out after ${timeoutMs} ms`));
+        signal.addEventListener("abort", onAbort);
+    });
+    return Promise.race([promise, timeout]).finally(() => signal.removeEventListener("abort", onAbort));
+}
+
+/**
+ * Wraps the KV binding handed to a provider so it stops writing once its signal is aborted: a provider
+ * that timed out must not refresh its caches after the request has recorded it as failed.
+ * @param {object} KVStore - The Cloudflare KV Namespace binding.
+ * @param {AbortSignal} signal - The timeout signal of the provider.
+ * @param {string} providerId - The provider id, for the log.
+ * @returns {object} The KV binding with the same get, getWithMetadata, list, put and delete.
+ */
+function withAbortableWrites(KVStore, signal, providerId) {
+    const write = method => async (...args) => {
+        if (signal.aborted) {
+            console.warn(`Source ${providerId} timed out, KV ${method} of ${args[0]} skipped.`);
+            return;
+        }
+        return KVStore[method](...args);
+    };
+    return {
+        get: (...args) => KVStore.get(...args),
+        getWithMetadata: (...args) => KVStore.getWithMetadata(...args),
+        list: (...args) => KVStore.list(...args),
+        put: write("put"),
+        delete: write("delete")
+    };
+}
+
+/**
+ * Returns the KV key of the stored state of a provider.
+ * @param {object} airport - The airport profile.
+ * @param {string} providerId - The provider id.
+ * @returns {string} The namespaced key (e.g. "LERM:source:windy").
+ */
+export function getProviderStateKey(airport, providerId) {
+    return airportKey(airport, `${PROVIDER_STATE_PREFIX}${providerId}`);
+}
+
+/**
+ * Retrieves the stored state of a provider: its last result and health.
+ * @param {object} KVStore - The Cloudflare KV Namespace binding.
+ * @param {object} airport - The airport profile.
+ * @param {string} providerId - The provider id.
+ * @returns {Promise<object>} {data, fetchedAt, health: {lastSuccessAt, lastErrorAt, lastError, consecutiveFailures, circuitOpenUntil}}.
+ */
+export async function getProviderState(KVStore, airport, providerId) {
+    let state = null;
+    try {
+        state = await KVStore.get(getProviderStateKey(airport, providerId), "json");
+    } catch (error) {
+        console.error(`Could not read the state of source ${providerId} from KV:`, error.message);
+    }
+    return {
+        data: state?.data ?? null,
+        fetchedAt: state?.fetchedAt ?? null,
+        health: {
+            lastSuccessAt: null,
+            lastErrorAt: null,
+            lastError: null,
+            consecutiveFailures: 0,
+            circuitOpenUntil: null,
+            ...(state?.health || {})
+        }
+    };
+}
+
+async function putProviderState(KVStore, airport, providerId, state) {
+    try {
+        await KVStore.put(getProviderStateKey(airport, providerId), JSON.stringify(state));
+    } catch (error) {
+        console.error(`Could not persist the state of source ${providerId} to KV:`, error.message);
+    }
+}
+
+/**
+ * Runs one provider: reuses its last result within its TTL, skips it while its circuit is open,
+ * otherwise fetches within its timeout and records its health.
+ *
+ * @param {object} provider - The provider.
+ * @param {object} env - The Pages Function environment.
+ * @param {object} KVStore - The Cloudflare KV Namespace binding.
+ * @param {object} airport - The airport profile.
+ * @param {Function} [fetchFn] - The fetch implementation handed to the provider.
+ * @returns {Promise<{provider: object, data: object | null, fromCache: boolean, skipped: boolean, error: string | null, health: object}>}
+ */
+export async function runProvider(provider, env, KVStore, airport, fetchFn = fetch) {
+    const state = await getProviderState(KVStore, airport, provider.id);
+    const nowMs = Date.now();
+
+    // 1. Reuse a recent result
+    const ageSeconds = state.fetchedAt ? (nowMs - new Date(state.fetchedAt).getTime()) / 1000 : Infinity;
+    if (state.data && ageSeconds < provider.ttlSeconds) {
+        return { provider: provider, data: state.data, fromCache: true, skipped: false, error: null, health: state.health };
+    }
+
+    // 2. Skip a source that keeps failing until its cool-down is over
+    const circuitOpenUntil = state.health.circuitOpenUntil ? new Date(state.health.circuitOpenUntil).getTime() : 0;
+    if (circuitOpenUntil > nowMs) {
+        const error = `Circuit open until ${state.health.circuitOpenUntil}`;
+        console.warn(`Source ${provider.id} skipped: ${error}`);
+        return { provider: provider, data: null, fromCache: false, skipped: true, error: error, health: state.health };
+    }
+
+    // 3. Fetch, recording the outcome (the data is only kept when the fetch succeeds).
+    // At the timeout the upstream requests are aborted, not just left running
+    const now = new Date(nowMs).toISOString();
+    const timeoutMs = provider.timeoutMs || DEFAULT_TIMEOUT_MS;
+    const signal = AbortSignal.timeout(timeoutMs);
+    const signalledFetch = (input, init = {}) => fetchFn(input, { ...init, signal: signal });
+    try {
+        const data = await withTimeout(
+            provider.fetch(env, withAbortableWrites(KVStore, signal, provider.id), airport, signalledFetch, signal),
+            signal,
+            timeoutMs,
+            `Source ${provider.id}`
+        );
+        const health = { ...state.health, lastSuccessAt: now, consecutiveFailures: 0, circuitOpenUntil: null };
+        await putProviderState(KVStore, airport, provider.id, { data: data, fetchedAt: now, health: health });
+        return { provider: provider, data: data, fromCache: false, skipped: false, error: null, health: health };
+    } catch (error) {
+        console.error(`Source ${provider.id} failed:`, error.message);
+        const breaker = getCircuitBreakerSettings(airport);
+        const consecutiveFailures = state.health.consecutiveFailures + 1;
+        const health = {
+            ...state.health,
+            lastErrorAt: now,
+            lastError: error.message,
+            consecutiveFailures: consecutiveFailures,
+            // Reaching the threshold (or failing the single attempt after a cool-down) opens the circuit
+            circuitOpenUntil: consecutiveFailures >= breaker.failure_threshold
+                ? new Date(nowMs + breaker.cooldown_minutes * 60000).toISOString()
+                : null
+        };
+        await putProviderState(KVStore, airport, provider.id, { ...state, health: health });
+        return { provider: provider, data: null, fromCache: false, skipped: false, error: error.message, health: health };
+    }
+}
+
+/**
+ * Runs every provider of the airport concurrently. A slow or failing source only loses its own data.
+ * @param {Array<object>} providers - The providers (see getProviders).
+ * @param {object} env - The Pages Function environment.
+ * @param {object} KVStore - The Cloudflare KV Namespace binding.
+ * @param {object} airport - The airport profile.
+ * @param {Function} [fetchFn] - The fetch implementation handed to the providers.
+ * @returns {Promise<Array<object>>} One result per provider, in registry order (see runProvider).
+ */
+export async function runProviders(providers, env, KVStore, airport, fetchFn = fetch) {
+    return Promise.all(providers.map(provider => runProvider(provider, env, KVStore, airport, fetchFn)));
+}
+// --- END WEATHER SOURCE PROVIDERS ---
@@ -0,0 +1,169 @@
+import { airportKey } from './airports.js';
+
+// --- OPERATOR REMARKS ---
+// Items entered by club officers (runway closures, parachute activity, works...) and broadcast
+// with the special information while they are valid.
+
+// KV key (within the airport namespace) holding the list of remarks
+const REMARKS_KEY = "remarks";
+const MAX_REMARK_LENGTH = 200;
+
+// Templated items: the parameters they take and their text (Spanish in spanish.js)
+export const REMARK_TEMPLATES = {
+    runway_closed: { params: ["runway"], text: "RUNWAY {runway} CLOSED" },
+    parachute_activity: { params: [], text: "PARACHUTE ACTIVITY IN PROGRESS" },
+    glider_activity: { params: [], text: "GLIDER ACTIVITY IN PROGRESS" },
+    bird_activity: { params: [], text: "BIRD ACTIVITY IN THE VICINITY OF THE AERODROME" },
+    work_in_progress: { params: ["location"], text: "WORK IN PROGRESS {location}" }
+};
+
+/**
+ * Normalizes a remark text for broadcast: upper case, single spaces, no sentence breaks
+ * (items are joined with ". " in the special information).
+ */
+function normalizeRemarkText(text) {
+    return String(text)
+        .toUpperCase()
+        .replace(/\s+/g, " ")
+        .replace(/\.\s+/g, ", ")
+        .replace(/[.\s]+$/, "")
+        .trim();
+}
+
+/**
+ * Builds the text of a templated remark.
+ * @param {string} template - The template name (see REMARK_TEMPLATES).
+ * @param {object} params - The template parameters.
+ * @returns {string} The remark text.
+ * @throws {Error} If the template is unknown or a parameter is missing.
+ */
+function renderRemarkTemplate(template, params = {}) {
+    const definition = REMARK_TEMPLATES[template];
+    if (!definition) {
+        throw new Error(`Unknown template: ${template}. Available: ${Object.keys(REMARK_TEMPLATES).join(", ")}`);
+    }
+    let text = definition.text;
+    for (const param of definition.params) {
+        if (params[param] == null || String(params[param]).trim() === "") {
+            throw new Error(`Template ${template} requires the parameter '${param}'`);
+        }
+        text = text.replace(`{${param}}`, String(params[param]).trim());
+    }
+    return text;
+}
+
+/**
+ * Parses an optional validity bound.
+ */
+function parseValidity(value, name) {
+    if (value == null || value === "") {
+        return null;
+    }
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+        throw new Error(`Invalid '${name}': use an ISO timestamp`);
+    }
+    return date.toISOString();
+}
+
+/**
+ * Validates a remark submitted to the admin API and builds the stored item.
+ *
+ * @param {object} input - {text} or {template, params}, with optional validFrom/validTo (ISO times).
+ * @param {Date} now - The current time.
+ * @returns {object} The remark: {id, text, template, params, validFrom, validTo, createdAt}.
+ * @throws {Error} With a message for the client when the input is invalid.
+ */
+export function createRemark(input, now = new Date()) {
+    if (!input || typeof input !== "object") {
+        throw new Error("The body must be a JSON object");
+    }
+    if ((input.text == null) === (input.template == null)) {
+        throw new Error("Provide either 'text' or 'template'");
+    }
+    // A template without parameters may leave them out or send null
+    const params = input.params ?? {};
+    if (typeof params !== "object" || Array.isArray(params)) {
+        throw new Error("'params' must be a JSON object");
+    }
+
+    const text = normalizeRemarkText(input.template != null
+        ? renderRemarkTemplate(input.template, params)
+        : input.text);
+    if (!text) {
+        throw new Error("The remark text is empty");
+    }
+    if (text.length > MAX_REMARK_LENGTH) {
+        throw new Error(`The remark text is longer than ${MAX_REMARK_LENGTH} characters`);
+    }
+
+    const validFrom = parseValidity(input.validFrom, "validFrom") || now.toISOString();
+    const validTo = parseValidity(input.validTo, "validTo");
+    if (validTo && validTo <= validFrom) {
+        throw new Error("'validTo' must be later than 'validFrom'");
+    }
+    if (validTo && new Date(validTo) <= now) {
+        throw new Error("'validTo' is already in the past");
+    }
+
+    return {
+        id: crypto.randomUUID(),
+        text: text,
+        template: input.template ?? null,
+        params: input.template != null ? params : null,
+        validFrom: validFrom,
+        validTo: validTo,
+        createdAt: now.toISOString()
+    };
+}
+
+/**
+ * Tells whether a remark is valid at a given time.
+ */
+function isRemarkActive(remark, now) {
+    const nowIso = now.toISOString();
+    return remark.validFrom <= nowIso && (!remark.validTo || remark.validTo > nowIso);
+}
+
+/**
+ * Retrieves the stored remarks of an airport (active, future and not yet pruned expired ones).
+ * @param {object} KVStore - The Cloudflare KV Namespace binding.
+ * @param {object} airport - The airport profile.
+ * @returns {Promise<Array<object>>} The remarks, oldest first.
+ */
+export async function getRemarks(KVStore, airport) {
+    try {
+        return (await KVStore.get(airportKey(airport, REMARKS_KEY), "json")) || [];
+    } catch (error) {
+        console.error("Could not read the remarks from KV:", error.message);
+        return [];
+    }
+}
+
+/**
+ * Stores the remarks of an airport, dropping the expired ones.
+ * @param {object} KVStore - The Cloudflare KV Namespace binding.
+ * @param {object} airport - The airport profile.
+ * @param {Array<object>} remarks - The remarks to keep.
+ * @returns {Promise<Array<object>>} The stored remarks.
+ */
+export async function putRemarks(KVStore, airport, remarks) {
+    const nowIso = new Date().toISOString();
+    const current = remarks.filter(remark => !remark.validTo || remark.validTo > nowIso);
+    await KVStore.put(airportKey(airport, REMARKS_KEY), JSON.stringify(current));
+    return current;
+}
+
+/**
+ * Returns the texts of the remarks valid now, for the special information of the ATIS.
+ * @param {object} KVStore - The Cloudflare KV Namespace binding.
+ * @param {object} airport - The airport profile.
+ * @returns {Promise<Array<string>>} The remark texts, oldest first.
+ */
+export async function getActiveRemarkTexts(KVStore, airport) {
+    const now = new Date();
+    return (await getRemarks(KVStore, airport))
+        .filter(remark => isRemarkActive(remark, now))
+        .map(remark => remark.text);
+}
+// --- END OPERATOR REMARKS ---
@@ -1,3 +1,6 @@
+import { airportKey } from './airports.js';
+import { getDataAgeLimits, isOlderThan } from './dataAge.js';
+
 /**
  * Converts Spanish cardinal direction text (N, S, O, E) to magnetic degrees (for wind data).
  * * @param {string} direction - N, S, O, E, NE, SO, etc.
@@ -40,7 +43,7 @@ function directionToDegrees(direction) {
  * Parses the clean, fixed-format text output to retrieve weather parameters.
  * (This function is updated to use the Spanish directionToDegrees.)
  */
-function parseCleanConditions(rawText, KVStore) {
+function parseCleanConditions(rawText, KVStore, airport) {
     if (!rawText || typeof rawText !== 'string') {
         return { error: "Invalid input text." };
     }
@@ -62,8 +65,10 @@ function parseCleanConditions(rawText, KVStore) {
         // Note: Time is in CET. Using a standard format.
         results.observationTime_raw = `${year}-${month}-${day}T${time}`;
         results.observationTime = convertToAtisTime(results.observationTime_raw)
+        results.observedAt = convertToIsoTime(results.observationTime_raw)
     } else {
         results.observationTime_raw = null;
+        results.observedAt = null;
     }
 
     // 2. Temperature
@@ -100,7 +105,7 @@ function parseCleanConditions(rawText, KVStore) {
         results.sunrise = null;
         results.sunset = null;
     }
-    updateRobledilloObservation(KVStore, JSON.stringify(results))
+    updateRobledilloObservation(KVStore, airport, JSON.stringify(results))
 
     return results;
 }
@@ -109,14 +114,21 @@ function parseCleanConditions(rawText, KVStore) {
  * Fetches the HTML content from the website, extracts the specific weather 
  * data block, cleans it, and parses the structured information.
  *
+ * @param {object} KVStore - The Cloudflare KV Namespace binding.
+ * @param {object} airport - The airport profile (sources.lerm.url is the aeroclub weather page).
+ * @param {Function} [fetchFn] - The fetch implementation (a capturing one records the page).
  * @returns {Promise<Object>} A promise that resolves to the structured weather data.
  */
-export async function fetchAndParseLERMConditions(KVStore) {
-    const URL = 'https://www.aeroclubdeguadalajara.es/meteo.php';
+export async function fetchAndParseLERMConditions(KVStore, airport, fetchFn = fetch) {
+    // Not every field has an aeroclub weather page
+    if (!airport.sources.lerm) {
+        return {};
+    }
+    const URL = airport.sources.lerm.url;
 
     try {
         // 1. Fetch the HTML content
-        const response = await fetch(URL, {
+        const response = await fetchFn(URL, {
             headers: {
                 'User-Agent': 'ATIS-Scraper-Bot'
             }
@@ -135,7 +147,7 @@ export async function fetchAndParseLERMConditions(KVStore) {
         const contentMatch = htmlText.match(contentRegex);
 
         if (!contentMatch || contentMatch.length < 2) {
-            return await getRobledilloObservation(env.KV_ATIS);
+            return await getRobledilloObservation(KVStore, airport);
         }
 
         // The captured content contains the raw data with HTML tags
@@ -149,32 +161,77 @@ export async function fetchAndParseLERMConditions(KVStore) {
             .replace(/[\n\r\t]+/g, ' ')    // Replace multiple newlines/tabs with a single space
             .trim();                       // Trim leading/trailing whitespace
 
-        // 4. Parse the cleaned text data
-        return parseCleanConditions(dataBlock, KVStore);
+        // 4. Parse the cleaned text data (the page keeps showing the last reading when the station is offline)
+        return discardStaleObservation(parseCleanConditions(dataBlock, KVStore, airport), airport);
 
     } catch (error) {
         console.error("Error fetching or parsing weather data:", error.message);
-        return await getRobledilloObservation(KVStore);
+        return await getRobledilloObservation(KVStore, airport);
     }
 }
 
+// --- SOURCE PROVIDER (see providers.js) ---
+export const lermProvider = {
+    id: "lerm",
+    kind: "observation",
+    ttlSeconds: 2 * 60,
+    timeoutMs: 5000,
+    requiredSecrets: [],
+    // The aeroclub station is on the field: its wind is compared with the other sources for the variation
+    fieldStation: true,
+    async fetch(env, KVStore, airport, fetchFn) {
+        const data = await fetchAndParseLERMConditions(KVStore, airport, fetchFn);
+        if (!data || data.observedAt == null) {
+            throw new Error("No recent LERM observation available");
+        }
+        return data;
+    },
+    provenance(data) {
+        return { source: "lerm", kind: "observation", observedAt: data.observedAt };
+    },
+    // The last reading parsed from the page is kept as a fallback
+    async cacheStatus(KVStore, airport) {
+        const key = airportKey(airport, "robledilloEMA");
+        const stored = await KVStore.get(key, "json");
+        const observation = stored ? JSON.parse(stored) : null;
+        return { key: key, value: observation?.observationTime ?? null, cachedAt: observation?.observedAt ?? null };
+    }
+};
+
 /**
- * Retrieves the existing 'robledillo_observation' from KV. Used as a fallback.
+ * Retrieves the existing 'robledilloEMA' observation from KV. Used as a fallback.
  * @param {object} KV - The Cloudflare KV Namespace binding.
+ * @param {object} airport - The airport profile.
  * @returns {Promise<object | null>} The existing KV data object, or null if not found/corrupted.
  */
-async function getRobledilloObservation(KV) {
-    const currentKvString = await KV.get("robledilloEMA", "json");
+async function getRobledilloObservation(KV, airport) {
+    const currentKvString = await KV.get(airportKey(airport, "robledilloEMA"), "json");
     try {
-        return currentKvString ? JSON.parse(currentKvString) : null;
+        return discardStaleObservation(currentKvString ? JSON.parse(currentKvString) : null, airport);
     } catch (error) {
         return null;
     }
 }
 
-async function updateRobledilloObservation(KV, data) {
+/**
+ * Discards an observation older than the airport's limit (or without a timestamp),
+ * so yesterday's reading is never broadcast as current.
+ * @param {object | null} observation - The parsed observation.
+ * @param {object} airport - The airport profile.
+ * @returns {object | null} The observation, or null if it is too old.
+ */
+function discardStaleObservation(observation, airport) {
+    const maxAgeMinutes = getDataAgeLimits(airport).reject_observation_after_minutes;
+    if (observation && isOlderThan(observation.observedAt, maxAgeMinutes)) {
+        console.warn(`LERM observation of ${observation.observedAt || "unknown time"} discarded: older than ${maxAgeMinutes} minutes.`);
+        return null;
+    }
+    return observation;
+}
+
+async function updateRobledilloObservation(KV, airport, data) {
     console.log("Pushing to KV")
-    KV.put("robledilloEMA", JSON.stringify(data));
+    KV.put(airportKey(airport, "robledilloEMA"), JSON.stringify(data));
 }
 
 /**
@@ -215,6 +272,21 @@ function convertToAtisTime(rawTimeString) {
 }
 
 
+/**
+ * Converts a raw observation time string (YYYY-MM-DDTHH:mm:ss), implicitly in 'Europe/Madrid',
+ * into a full ISO 8601 UTC timestamp.
+ *
+ * @param {string} rawTimeString - The time string in YYYY-MM-DDTHH:mm:ss format.
+ * @returns {string | null} The ISO timestamp, or null if the time cannot be parsed.
+ */
+function convertToIsoTime(rawTimeString) {
+    if (!rawTimeString) {
+        return null;
+    }
+    const utcTimeMs = getUtcTimeFromLocalTime(rawTimeString.replace('T', ' '), 'Europe/Madrid');
+    return utcTimeMs == null ? null : new Date(utcTimeMs).toISOString();
+}
+
 /**
  * Converts a specific local time in the Europe/Madrid zone (UTC+1 or UTC+2)
  * to its corresponding UTC time, formatted as HHMMZ.
@@ -223,13 +295,36 @@ function convertToAtisTime(rawTimeString) {
  * @returns {string} The time formatted as "HHMMZ", or "Invalid Date".
  */
 function getATISTimeFromLocalTime(dateString, timeZoneIANA) {
-    if (!dateString || !timeZoneIANA) return "Invalid Date";
+    const utcTimeMs = getUtcTimeFromLocalTime(dateString, timeZoneIANA);
+    if (utcTimeMs == null) return "Invalid Date";
+
+    // Create a Date object from the UTC timestamp and extract HHMMZ
+    const finalDate = new Date(utcTimeMs);
+
+    const finalHours = finalDate.getUTCHours();
+    const finalMinutes = finalDate.getUTCMinutes();
+
+    const formattedHours = String(finalHours).padStart(2, '0');
+    const formattedMinutes = String(finalMinutes).padStart(2, '0');
+
+    return `${formattedHours}${formattedMinutes}Z`;
+}
+
+/**
+ * Converts a specific local time in the Europe/Madrid zone (UTC+1 or UTC+2)
+ * to its corresponding UTC timestamp.
+ * * @param {string} dateString The date/time string (e.g., "2025-10-27 15:30:00").
+ * @param {string} timeZoneIANA Must be "Europe/Madrid" or similar EU zone for this logic.
+ * @returns {number | null} The UTC time in milliseconds, or null if the input is invalid.
+ */
+function getUtcTimeFromLocalTime(dateString, timeZoneIANA) {
+    if (!dateString || !timeZoneIANA) return null;
 
     // 1. Parse the input components (YYYY, M, D, H, M, S)
     const parts = dateString.split(/[\s:-]/).map(Number);
     if (parts.length < 6 || parts.some(isNaN)) {
         console.error("Input string parsing failed.");
-        return "Invalid Date";
+        return null;
     }
 
     const year = parts[0];
@@ -291,16 +386,5 @@ function getATISTimeFromLocalTime(dateString, timeZoneIANA) {
     const offsetMs = offsetHours * 60 * 60 * 1000;
 
     // UTC time in milliseconds
-    const utcTimeMs = localTimeMs - offsetMs;
-
-    // 7. Create a Date object from the UTC timestamp and extract HHMMZ
-    const finalDate = new Date(utcTimeMs);
-
-    const finalHours = finalDate.getUTCHours();
-    const finalMinutes = finalDate.getUTCMinutes();
-
-    const formattedHours = String(finalHours).padStart(2, '0');
-    const formattedMinutes = String(finalMinutes).padStart(2, '0');
-
-    return `${formattedHours}${formattedMinutes}Z`;
+    return localTimeMs - offsetMs;
 }
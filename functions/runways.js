@@ -0,0 +1,223 @@
+import { airportKey } from './airports.js';
+
+// --- RUNWAY WIND COMPONENTS ---
+
+// Used when the airport profile doesn't define its own limits
+const DEFAULT_WIND_LIMITS = {
+    report_crosswind_above_kt: 5, // Crosswind is read out above this value
+    max_crosswind_kt: 12,         // Advisory when the crosswind exceeds this value
+    max_tailwind_kt: 5            // Advisory when the tailwind exceeds this value
+};
+
+// Used when the airport profile doesn't define its own runway selection rules
+const DEFAULT_RUNWAY_SELECTION = {
+    calm_wind_kt: 3,         // Below this mean speed the preferred calm-wind runway is used
+    preferred_calm_runway: null, // Defaults to the first runway of the profile
+    change_tailwind_kt: 3    // The runway in use is kept until its mean tailwind exceeds this value
+};
+
+// KV key (within the airport namespace) holding the runway in use
+const ACTIVE_RUNWAY_KEY = "activeRunway";
+
+/**
+ * Returns the wind limits of the airport profile, completed with the defaults.
+ * @param {object} airport - The airport profile.
+ * @returns {object} The wind limits in knots.
+ */
+export function getWindLimits(airport) {
+    return { ...DEFAULT_WIND_LIMITS, ...(airport.wind_limits || {}) };
+}
+
+/**
+ * Splits a wind into its components along and across a runway.
+ *
+ * @param {number} windDirection - Direction the wind blows from, in degrees (magnetic, like the runway).
+ * @param {number} windSpeed - Wind speed in knots.
+ * @param {number} runwayHeading - Runway heading in degrees.
+ * @returns {{headwind: number, tailwind: number, crosswind: number, crosswind_from: string} | null}
+ * Rounded components in knots (headwind and tailwind are never both above zero), or null without a direction.
+ */
+export function computeWindComponents(windDirection, windSpeed, runwayHeading) {
+    if (windDirection == null || windSpeed == null || isNaN(windDirection) || isNaN(windSpeed)) {
+        return null;
+    }
+    const angleRad = ((windDirection - runwayHeading) * Math.PI) / 180;
+    const along = windSpeed * Math.cos(angleRad);
+    const across = windSpeed * Math.sin(angleRad);
+
+    return {
+        headwind: Math.max(0, Math.round(along)),
+        tailwind: Math.max(0, Math.round(-along)),
+        crosswind: Math.abs(Math.round(across)),
+        crosswind_from: across >= 0 ? "RIGHT" : "LEFT"
+    };
+}
+
+/**
+ * Computes the mean and gust wind components for every runway of the airport.
+ * With a calm mean wind the calm-wind runway is used whatever the gust direction, so the gusts
+ * are not split into components: they would raise advisories against the runway just selected.
+ *
+ * @param {object} reportData - The merged weather data (wind_direction, wind_speed, gust_direction, gust_speed).
+ * @param {Array<object>} runways - The runways of the airport profile ({designator, heading}).
+ * @param {number} [calmWindKt] - The calm-wind threshold of the runway selection (see getRunwaySelectionRules).
+ * @returns {Array<object>} One entry per runway: {designator, heading, mean, gust, max_crosswind, max_tailwind}.
+ */
+export function computeRunwayWinds(reportData, runways, calmWindKt = 0) {
+    const isCalm = reportData.wind_speed != null && reportData.wind_speed < calmWindKt;
+    return runways.map(runway => {
+        const mean = computeWindComponents(reportData.wind_direction, reportData.wind_speed, runway.heading);
+        // Gusts come with their own direction (AEMET 'dmax'); otherwise the mean direction is used
+        const gustDirection = reportData.gust_direction != null ? reportData.gust_direction : reportData.wind_direction;
+        const gust = reportData.gust_speed > 0 && !isCalm
+            ? computeWindComponents(gustDirection, reportData.gust_speed, runway.heading)
+            : null;
+
+        return {
+            designator: runway.designator,
+            heading: runway.heading,
+            mean: mean,
+            gust: gust,
+            // Limits are checked against the worst of mean wind and gust
+            max_crosswind: mean ? Math.max(mean.crosswind, gust ? gust.crosswind : 0) : null,
+            max_tailwind: mean ? Math.max(mean.tailwind, gust ? gust.tailwind : 0) : null
+        };
+    });
+}
+
+/**
+ * Lists the advisories for the runway in use when its crosswind or tailwind exceeds the limits.
+ *
+ * @param {object} runwayWind - The entry of computeRunwayWinds for the runway in use.
+ * @param {object} limits - The wind limits (see getWindLimits).
+ * @returns {Array<string>} Advisories such as "CROSSWIND EXCEEDS 12 KT".
+ */
+export function getWindLimitAdvisories(runwayWind, limits) {
+    const advisories = [];
+    if (!runwayWind || !runwayWind.mean) {
+        return advisories;
+    }
+    if (runwayWind.max_crosswind > limits.max_crosswind_kt) {
+        advisories.push(`CROSSWIND EXCEEDS ${limits.max_crosswind_kt} KT`);
+    }
+    if (runwayWind.max_tailwind > limits.max_tailwind_kt) {
+        advisories.push(`TAILWIND EXCEEDS ${limits.max_tailwind_kt} KT`);
+    }
+    return advisories;
+}
+// --- END RUNWAY WIND COMPONENTS ---
+
+// --- RUNWAY SELECTION ---
+
+/**
+ * Returns the runway selection rules of the airport profile, completed with the defaults.
+ * @param {object} airport - The airport profile.
+ * @returns {object} The runway selection rules.
+ */
+export function getRunwaySelectionRules(airport) {
+    const rules = { ...DEFAULT_RUNWAY_SELECTION, ...(airport.runway_selection || {}) };
+    if (!rules.preferred_calm_runway) {
+        rules.preferred_calm_runway = airport.runways[0].designator;
+    }
+    return rules;
+}
+
+/**
+ * Retrieves the runway in use stored in KV.
+ * @param {object} KVStore - The Cloudflare KV Namespace binding.
+ * @param {object} airport - The airport profile.
+ * @returns {Promise<object | null>} The stored selection ({designator, reason, selectedAt}), or null.
+ */
+export async function getStoredRunway(KVStore, airport) {
+    try {
+        return await KVStore.get(airportKey(airport, ACTIVE_RUNWAY_KEY), "json");
+    } catch (error) {
+        console.error("Could not read the active runway from KV:", error.message);
+        return null;
+    }
+}
+
+/**
+ * Chooses the runway in use from the wind components of every runway.
+ *
+ * 1. Below the calm-wind threshold the preferred calm-wind runway is used.
+ * 2. Without a wind direction or speed the previous runway is kept (or the preferred one), never a silent default.
+ * 3. The previous runway is kept until its mean tailwind exceeds the change limit (hysteresis),
+ *    so a wind sitting across the runway doesn't flip the runway on every small change.
+ * 4. Otherwise the runway with the most headwind is chosen.
+ *
+ * @param {object} reportData - The merged weather data (wind_direction, wind_speed).
+ * @param {Array<object>} runwayWinds - The wind components of every runway (see computeRunwayWinds).
+ * @param {object} airport - The airport profile.
+ * @param {object | null} previous - The runway selection currently in use.
+ * @returns {{designator: string, reason: string}} The chosen runway and the reason for it.
+ */
+export function selectActiveRunway(reportData, runwayWinds, airport, previous) {
+    const rules = getRunwaySelectionRules(airport);
+    const previousWind = previous ? runwayWinds.find(runway => runway.designator === previous.designator) : null;
+    const windSpeed = reportData.wind_speed;
+    const isCalm = windSpeed != null && !isNaN(windSpeed) && windSpeed < rules.calm_wind_kt;
+
+    // 1. Calm wind
+    if (isCalm) {
+        return { designator: rules.preferred_calm_runway, reason: `CALM WIND BELOW ${rules.calm_wind_kt} KT, PREFERRED RUNWAY` };
+    }
+
+    // 2. Missing wind direction or speed (they are fused independently, either can be missing)
+    if (runwayWinds.some(runway => !runway.mean)) {
+        if (previousWind) {
+            return { designator: previousWind.designator, reason: "WIND UNAVAILABLE, PREVIOUS RUNWAY KEPT" };
+        }
+        return { designator: rules.preferred_calm_runway, reason: "WIND UNAVAILABLE, PREFERRED RUNWAY" };
+    }
+
+    // 3. Hysteresis on the previous runway
+    if (previousWind && previousWind.mean && previousWind.mean.tailwind <= rules.change_tailwind_kt) {
+        return {
+            designator: previousWind.designator,
+            reason: `PREVIOUS RUNWAY KEPT, TAILWIND ${previousWind.mean.tailwind} KT WITHIN ${rules.change_tailwind_kt} KT`
+        };
+    }
+
+    // 4. Runway best aligned with the wind
+    let best = runwayWinds[0];
+    for (const runway of runwayWinds) {
+        if (runway.mean.headwind - runway.mean.tailwind > best.mean.headwind - best.mean.tailwind) {
+            best = runway;
+        }
+    }
+    const reason = previousWind
+        ? `TAILWIND ON RUNWAY ${previousWind.designator} EXCEEDS ${rules.change_tailwind_kt} KT, BEST ALIGNED WITH WIND`
+        : "BEST ALIGNED WITH WIND";
+    return { designator: best.designator, reason: reason };
+}
+
+/**
+ * Selects the runway in use and persists it in KV so the next request (in any isolate) applies the hysteresis to it.
+ *
+ * @param {object} KVStore - The Cloudflare KV Namespace binding.
+ * @param {object} reportData - The merged weather data.
+ * @param {Array<object>} runwayWinds - The wind components of every runway (see computeRunwayWinds).
+ * @param {object} airport - The airport profile.
+ * @returns {Promise<{designator: string, reason: string}>} The chosen runway and the reason for it.
+ */
+export async function determineActiveRunway(KVStore, reportData, runwayWinds, airport) {
+    const previous = await getStoredRunway(KVStore, airport);
+    const selection = selectActiveRunway(reportData, runwayWinds, airport, previous);
+
+    // Only a runway change is written, the stored reason is the one the runway was selected for
+    if (!previous || previous.designator !== selection.designator) {
+        try {
+            await KVStore.put(airportKey(airport, ACTIVE_RUNWAY_KEY), JSON.stringify({
+                designator: selection.designator,
+                reason: selection.reason,
+                selectedAt: new Date().toISOString()
+            }));
+        } catch (error) {
+            console.error("Could not persist the active runway to KV:", error.message);
+        }
+    }
+
+    return selection;
+}
+// --- END RUNWAY SELECTION ---
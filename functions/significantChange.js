@@ -0,0 +1,142 @@
+// --- SIGNIFICANT CHANGE CRITERIA ---
+// Used when the airport profile doesn't define its own 'significant_change' criteria
+const DEFAULT_SIGNIFICANT_CHANGE = {
+    wind_direction_change_deg: 30,
+    wind_speed_change_kt: 10,
+    qnh_change_hpa: 1,
+    max_report_age_minutes: 60,                      // A new letter is forced once the current one is this old
+    visibility_thresholds_km: [0.8, 1.5, 3, 5, 8, 10] // Values whose crossing is operationally significant
+};
+// Cloud amounts ordered by coverage
+const CLOUD_CATEGORIES = ["SKC", "FEW", "SCT", "BKN", "OVC"];
+
+/**
+ * Returns the significant change criteria of the airport profile, completed with the defaults.
+ * @param {object} airport - The airport profile.
+ * @returns {object} The significant change criteria (see DEFAULT_SIGNIFICANT_CHANGE).
+ */
+export function getSignificantChangeRules(airport) {
+    return { ...DEFAULT_SIGNIFICANT_CHANGE, ...(airport.significant_change || {}) };
+}
+
+/**
+ * Reduces the cloud layers to the most significant amount reported (e.g. ["FEW 5900ft", "BKN 11300ft"] -> "BKN").
+ * @param {Array<string> | string} cloudsShort - The short cloud layers of the report.
+ * @returns {string} One of CLOUD_CATEGORIES.
+ */
+export function getCloudCategory(cloudsShort) {
+    const layers = Array.isArray(cloudsShort) ? cloudsShort : [cloudsShort];
+    let category = 0;
+    for (const layer of layers) {
+        const index = CLOUD_CATEGORIES.indexOf(String(layer || "").trim().substring(0, 3).toUpperCase());
+        category = Math.max(category, index);
+    }
+    return CLOUD_CATEGORIES[category];
+}
+
+/**
+ * Builds the comparable snapshot of a report: only the values whose change is operationally significant.
+ * @param {object} atisData - The formatted report fields (see formatReportForATIS).
+ * @returns {object} The snapshot stored with each issued letter.
+ */
+export function buildReportSnapshot(atisData) {
+    return {
+        observationTime: atisData.time_zulu,
+        runway: atisData.runways_in_use,
+        wind_direction: atisData.wind_direction,
+        wind_speed: atisData.wind_speed,
+        qnh: atisData.qnh != null ? Math.round(atisData.qnh) : null,
+        cloud_category: getCloudCategory(atisData.clouds_short),
+        visibility: atisData.visibility,
+        phenomenon: atisData.phen || null,
+        special_info: atisData.special_info || null
+    };
+}
+
+/**
+ * Smallest angle between two directions (0-180).
+ */
+function getAngularDifference(angle1, angle2) {
+    const diff = Math.abs(angle1 - angle2) % 360;
+    return Math.min(diff, 360 - diff);
+}
+
+/**
+ * Returns the index of the visibility band a value falls in, so that crossing a threshold changes it.
+ */
+function getVisibilityBand(visibilityKm, thresholdsKm) {
+    return thresholdsKm.filter(threshold => visibilityKm >= threshold).length;
+}
+
+/**
+ * Compares a new report snapshot with the one last issued and lists the operationally significant differences.
+ *
+ * @param {object | null} previous - The snapshot of the report currently on broadcast, with its `issuedAt` time.
+ * @param {object} current - The snapshot of the new report.
+ * @param {object} rules - The significant change criteria (see getSignificantChangeRules).
+ * @param {Date} now - The current time, used for the maximum age rule.
+ * @returns {Array<string>} The reasons for issuing a new letter; empty when the current letter still holds.
+ */
+export function detectSignificantChanges(previous, current, rules, now = new Date()) {
+    if (!previous || !previous.snapshot) {
+        return ["INITIAL ISSUE"];
+    }
+
+    const reasons = [];
+    const last = previous.snapshot;
+
+    // 1. Runway in use
+    if (last.runway !== current.runway) {
+        reasons.push(`RUNWAY CHANGED FROM ${last.runway} TO ${current.runway}`);
+    }
+
+    // 2. Wind direction and speed
+    if (last.wind_direction != null && current.wind_direction != null) {
+        if (getAngularDifference(last.wind_direction, current.wind_direction) >= rules.wind_direction_change_deg) {
+            reasons.push(`WIND DIRECTION CHANGED FROM ${last.wind_direction} TO ${current.wind_direction}`);
+        }
+    } else if (last.wind_direction !== current.wind_direction) {
+        reasons.push("WIND DIRECTION AVAILABILITY CHANGED");
+    }
+    if (last.wind_speed != null && current.wind_speed != null &&
+        Math.abs(last.wind_speed - current.wind_speed) >= rules.wind_speed_change_kt) {
+        reasons.push(`WIND SPEED CHANGED FROM ${last.wind_speed} TO ${current.wind_speed} KT`);
+    }
+
+    // 3. QNH
+    if (last.qnh != null && current.qnh != null && Math.abs(last.qnh - current.qnh) >= rules.qnh_change_hpa) {
+        reasons.push(`QNH CHANGED FROM ${last.qnh} TO ${current.qnh}`);
+    }
+
+    // 4. Cloud category
+    if (last.cloud_category !== current.cloud_category) {
+        reasons.push(`CLOUD CHANGED FROM ${last.cloud_category} TO ${current.cloud_category}`);
+    }
+
+    // 5. Visibility thresholds
+    if (last.visibility != null && current.visibility != null &&
+        getVisibilityBand(last.visibility, rules.visibility_thresholds_km) !== getVisibilityBand(current.visibility, rules.visibility_thresholds_km)) {
+        reasons.push(`VISIBILITY CHANGED FROM ${last.visibility} TO ${current.visibility} KM`);
+    }
+
+    // 6. Phenomena and special information
+    if (current.phenomenon && current.phenomenon !== last.phenomenon) {
+        reasons.push(`NEW PHENOMENON ${current.phenomenon}`);
+    } else if (!current.phenomenon && last.phenomenon) {
+        reasons.push(`END OF ${last.phenomenon}`);
+    }
+    // Operator remarks are part of the special information, so adding or cancelling one issues a new letter
+    if (current.special_info && current.special_info !== last.special_info) {
+        reasons.push("NEW SPECIAL INFORMATION");
+    } else if (!current.special_info && last.special_info) {
+        reasons.push("SPECIAL INFORMATION CANCELLED");
+    }
+
+    // 7. Maximum age of the current letter
+    const ageMinutes = (now.getTime() - new Date(previous.issuedAt).getTime()) / 60000;
+    if (reasons.length === 0 && !(ageMinutes < rules.max_report_age_minutes)) {
+        reasons.push(`MAXIMUM AGE OF ${rules.max_report_age_minutes} MINUTES REACHED`);
+    }
+
+    return reasons;
+}
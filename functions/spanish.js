@@ -0,0 +1,125 @@
+// --- SPANISH PHRASEOLOGY ---
+// The sources and the report builder produce English terms; these tables give the Spanish
+// aviation phrasing for them. Unknown terms are left in English rather than guessed.
+
+// Letters whose Spanish spelling differs from the ATIS_IDENTIFIERS word
+const SPANISH_IDENTIFIERS = { ALPHA: "ALFA", JULIET: "JULIETT", XRAY: "X-RAY" };
+
+// Cloud amounts (full and short forms of the reports)
+const SPANISH_CLOUD_AMOUNTS = {
+    "SKY CLEAR": "CIELO DESPEJADO",
+    "FEW": "ESCASAS",
+    "SCATTERED": "DISPERSAS",
+    "BROKEN": "FRAGMENTADAS",
+    "OVERCAST": "CUBIERTO"
+};
+
+// Present weather, by the whole phrase the sources report
+const SPANISH_PHENOMENA = {
+    "HIGH CLOUDS": "NUBES ALTAS",
+    "RAIN": "LLUVIA",
+    "LIGHT RAIN": "LLUVIA DÉBIL",
+    "RAIN SHOWERS": "CHUBASCOS DE LLUVIA",
+    "LIGHT RAIN SHOWERS": "CHUBASCOS DE LLUVIA DÉBILES",
+    "DRIZZLE": "LLOVIZNA",
+    "SNOW": "NIEVE",
+    "LIGHT SNOW": "NIEVE DÉBIL",
+    "SNOW SHOWERS": "CHUBASCOS DE NIEVE",
+    "LIGHT SNOW SHOWERS": "CHUBASCOS DE NIEVE DÉBILES",
+    "FREEZING RAIN": "LLUVIA ENGELANTE",
+    "RAIN AND SNOW": "LLUVIA Y NIEVE",
+    "ICE PELLETS": "HIELO GRANULADO",
+    "NO SIGNIFICANT WEATHER": "SIN FENÓMENOS SIGNIFICATIVOS",
+    "THUNDERSTORM": "TORMENTA",
+    "THUNDERSTORM WITH LIGHT RAIN": "TORMENTA CON LLUVIA DÉBIL",
+    "FOG": "NIEBLA",
+    "FOG/MIST": "NIEBLA/NEBLINA",
+    "MIST": "NEBLINA",
+    "MIST / HAZE": "NEBLINA / CALIMA",
+    "CALIMA (DUST/SAND HAZE)": "CALIMA (POLVO/ARENA EN SUSPENSIÓN)",
+    "UNKNOWN": "DESCONOCIDO"
+};
+
+// Advisories and remarks: [English pattern, Spanish replacement]
+const SPANISH_REMARKS = [
+    [/^BRAKING ACTION ADVISORIES ARE IN EFFECT$/, "AVISOS DE EFICACIA DE FRENADO EN VIGOR"],
+    [/^CROSSWIND EXCEEDS (\d+) KT$/, "VIENTO CRUZADO SUPERIOR A $1 KT"],
+    [/^TAILWIND EXCEEDS (\d+) KT$/, "VIENTO EN COLA SUPERIOR A $1 KT"],
+    [/^HIGH DENSITY ALTITUDE, (\d+) FT$/, "ALTITUD DE DENSIDAD ELEVADA, $1 FT"],
+    [/^OBSERVATION DATA UNAVAILABLE$/, "DATOS DE OBSERVACIÓN NO DISPONIBLES"],
+    [/^OBSERVATION DATA (\d+) MINUTES OLD$/, "DATOS DE OBSERVACIÓN DE HACE $1 MINUTOS"],
+    // Operator remark templates (see REMARK_TEMPLATES), free text is broadcast as entered
+    [/^RUNWAY (\S+) CLOSED$/, "PISTA $1 CERRADA"],
+    [/^PARACHUTE ACTIVITY IN PROGRESS$/, "ACTIVIDAD DE PARACAIDISMO EN CURSO"],
+    [/^GLIDER ACTIVITY IN PROGRESS$/, "ACTIVIDAD DE VUELO SIN MOTOR EN CURSO"],
+    [/^BIRD ACTIVITY IN THE VICINITY OF THE AERODROME$/, "ACTIVIDAD DE AVES EN LAS INMEDIACIONES DEL AERÓDROMO"],
+    [/^WORK IN PROGRESS (.+)$/, "OBRAS EN CURSO $1"]
+];
+
+/**
+ * Returns the Spanish spelling of the ATIS letter ("ALPHA" -> "ALFA").
+ * @param {string} identifier - The ATIS identifier word.
+ * @returns {string} The identifier in upper case.
+ */
+export function toSpanishIdentifier(identifier) {
+    const word = String(identifier).toUpperCase();
+    return SPANISH_IDENTIFIERS[word] || word;
+}
+
+/**
+ * Translates cloud layers ("SCATTERED at 4000 feet" -> "DISPERSAS a 4000 pies", "BKN 4000ft" -> "BKN 4000ft").
+ * Short METAR-style codes are kept, they read the same in Spanish.
+ * @param {string | Array<string>} clouds - The cloud layers.
+ * @returns {string} The translated layers, comma-separated.
+ */
+export function translateClouds(clouds) {
+    return [].concat(clouds ?? [])
+        .map(layer => {
+            const match = String(layer).match(/^(SKY CLEAR|FEW|SCATTERED|BROKEN|OVERCAST)(?: at (\d+) feet)?$/i);
+            if (!match) {
+                return layer;
+            }
+            const amount = SPANISH_CLOUD_AMOUNTS[match[1].toUpperCase()];
+            return match[2] ? `${amount} a ${match[2]} pies` : amount;
+        })
+        .join(", ");
+}
+
+/**
+ * Translates the present weather phrase reported by the sources. Phrases qualified with an intensity
+ * and "SHOWERS" are built from the phrase they qualify ("HEAVY SNOW SHOWERS" -> "CHUBASCOS DE NIEVE FUERTES").
+ * @param {string} phenomenon - The English phrase.
+ * @returns {string} The Spanish phrase, or the original one if it is not in the table.
+ */
+export function translatePhenomenon(phenomenon) {
+    const phrase = String(phenomenon).toUpperCase().trim();
+    if (SPANISH_PHENOMENA[phrase]) {
+        return SPANISH_PHENOMENA[phrase];
+    }
+    const [, intensity, base, showers] = /^(LIGHT |HEAVY )?(.+?)( SHOWERS)?$/.exec(phrase);
+    if (!SPANISH_PHENOMENA[base] || (!intensity && !showers)) {
+        return phenomenon;
+    }
+    // Singular and plural ("CHUBASCOS") forms of the intensity
+    const [singular, plural] = { "LIGHT ": [" DÉBIL", " DÉBILES"], "HEAVY ": [" FUERTE", " FUERTES"] }[intensity] || ["", ""];
+    return showers
+        ? `CHUBASCOS DE ${SPANISH_PHENOMENA[base]}${plural}`
+        : `${SPANISH_PHENOMENA[base]}${singular}`;
+}
+
+/**
+ * Translates advisories and remarks, item by item (items are separated by ". ").
+ * @param {string} text - The English advisories.
+ * @returns {string} The Spanish advisories; items without a translation are kept in English.
+ */
+export function translateRemarks(text) {
+    return String(text)
+        .split(". ")
+        .map(item => {
+            const remark = item.toUpperCase().trim();
+            const translation = SPANISH_REMARKS.find(([pattern]) => pattern.test(remark));
+            return translation ? remark.replace(translation[0], translation[1]) : item;
+        })
+        .join(". ");
+}
+// --- END SPANISH PHRASEOLOGY ---
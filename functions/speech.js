@@ -0,0 +1,283 @@
+// --- SPEECH RENDERING (SSML) ---
+// Radiotelephony pronunciation of digits (ICAO Annex 10, Vol. II)
+const ICAO_DIGITS = ["ZERO", "ONE", "TWO", "TREE", "FOUR", "FIFE", "SIX", "SEVEN", "EIGHT", "NINER"];
+
+// Spelling alphabet, used for ICAO codes and runway suffixes
+const ICAO_ALPHABET = {
+    A: "ALFA", B: "BRAVO", C: "CHARLIE", D: "DELTA", E: "ECHO", F: "FOXTROT", G: "GOLF",
+    H: "HOTEL", I: "INDIA", J: "JULIETT", K: "KILO", L: "LIMA", M: "MIKE", N: "NOVEMBER",
+    O: "OSCAR", P: "PAPA", Q: "QUEBEC", R: "ROMEO", S: "SIERRA", T: "TANGO", U: "UNIFORM",
+    V: "VICTOR", W: "WHISKEY", X: "X-RAY", Y: "YANKEE", Z: "ZULU"
+};
+
+// Abbreviations of the text reports and how they are read out
+const SPOKEN_ABBREVIATIONS = [
+    [/\bKT\b/g, "KNOTS"],
+    [/\bFT\b/g, "FEET"],
+    [/\bKM\b/g, "KILOMETERS"]
+];
+
+// Pauses between the items of the broadcast and the reading speed
+const ITEM_BREAK = "600ms";
+const GROUP_BREAK = "250ms";
+const SPEAKING_RATE = "90%";
+
+/**
+ * Escapes text for inclusion in an XML document.
+ */
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&apos;");
+}
+
+/**
+ * Reads digits one by one ("1021" -> "ONE ZERO TWO ONE"). A decimal point is read as DECIMAL.
+ * @param {string | number} value - The digits to read.
+ * @returns {string} The spoken digits.
+ */
+export function speakDigits(value) {
+    return String(value)
+        .split("")
+        .map(char => {
+            if (char === ".") return "DECIMAL";
+            if (char === "-") return "MINUS";
+            return ICAO_DIGITS[Number(char)] ?? char;
+        })
+        .join(" ");
+}
+
+/**
+ * Reads a height or altitude: whole hundreds and thousands use HUNDRED and THOUSAND
+ * ("4500" -> "FOUR THOUSAND FIFE HUNDRED", "10000" -> "ONE ZERO THOUSAND"), any other value digit by digit.
+ * @param {number} value - The height in feet.
+ * @returns {string} The spoken height.
+ */
+export function speakHeight(value) {
+    const height = Math.round(value);
+    if (height < 100 || height % 100 !== 0) {
+        return speakDigits(height);
+    }
+    const thousands = Math.floor(height / 1000);
+    const hundreds = (height % 1000) / 100;
+    const words = [];
+    if (thousands > 0) {
+        words.push(`${speakDigits(thousands)} THOUSAND`);
+    }
+    if (hundreds > 0) {
+        words.push(`${ICAO_DIGITS[hundreds]} HUNDRED`);
+    }
+    return words.join(" ");
+}
+
+/**
+ * Spells a code letter by letter with the spelling alphabet, digits the ICAO way ("LERM" -> "LIMA ECHO ROMEO MIKE").
+ * @param {string} code - The code to spell.
+ * @returns {string} The spelled code.
+ */
+export function spellCode(code) {
+    return String(code)
+        .toUpperCase()
+        .split("")
+        .map(char => ICAO_ALPHABET[char] || (/\d/.test(char) ? ICAO_DIGITS[Number(char)] : char))
+        .join(" ");
+}
+
+/**
+ * Converts a free text item (advisories, remarks, cloud layers) to its spoken form:
+ * heights followed by feet are read as hundreds/thousands, every other number digit by digit.
+ * @param {string} text - The text item.
+ * @returns {string} The spoken text.
+ */
+export function speakText(text) {
+    let spoken = String(text).toUpperCase();
+    for (const [pattern, words] of SPOKEN_ABBREVIATIONS) {
+        spoken = spoken.replace(pattern, words);
+    }
+    spoken = spoken.replace(/(\d+)\s*(FEET)/g, (match, height, unit) => `${speakHeight(Number(height))} ${unit}`);
+    spoken = spoken.replace(/\d+(\.\d+)?/g, number => speakDigits(number));
+    return spoken;
+}
+
+/**
+ * Reads a temperature, with MINUS below zero.
+ */
+function speakTemperature(value) {
+    const temperature = Math.round(Number(value));
+    if (value == null || isNaN(temperature)) {
+        return "NOT AVAILABLE";
+    }
+    return temperature < 0 ? `MINUS ${speakDigits(-temperature)}` : speakDigits(temperature);
+}
+
+/**
+ * Reads a speed in knots ("ONE KNOT", "ONE FIFE KNOTS").
+ */
+function speakKnots(value) {
+    const speed = Math.round(value);
+    return `${speakDigits(speed)} ${speed === 1 ? "KNOT" : "KNOTS"}`;
+}
+
+/**
+ * Reads the TREND group by group ("TREND BECOMING FROM ONE SIX ZERO ZERO", "WIND BACKING TO TWO FOUR ZERO DEGREES...").
+ */
+function speakTrend(trend) {
+    if (trend.type === "NOSIG") {
+        return ["TREND NO SIGNIFICANT CHANGE"];
+    }
+    const time = value => speakDigits(String(value || "").replace(/\D/g, ""));
+    const groups = [trend.until
+        ? `TREND TEMPORARILY FROM ${time(trend.from)} UNTIL ${time(trend.until)}`
+        : `TREND BECOMING FROM ${time(trend.from)}`];
+    if (trend.wind) {
+        const turn = trend.wind.turn ? `${trend.wind.turn} TO ` : "";
+        groups.push(`WIND ${turn}${speakDigits(String(trend.wind.direction).padStart(3, '0'))} DEGREES ${speakKnots(trend.wind.speed)}`);
+        if (trend.wind.gust) {
+            groups.push(`GUSTING ${speakKnots(trend.wind.gust)}`);
+        }
+    }
+    if (trend.weather) {
+        groups.push(trend.weather.phrase);
+    }
+    if (trend.clouds) {
+        groups.push(`CLOUDS ${speakText([].concat(trend.clouds).join(", "))}`);
+    }
+    return groups;
+}
+
+/**
+ * Builds the spoken items of the broadcast, in the order of the full report.
+ * @param {object} report - The ATIS report fields (see ATISReport).
+ * @returns {Array<Array<string>>} The items, each a list of groups read with a short pause between them.
+ */
+function buildSpokenItems(report) {
+    const items = [];
+
+    // 1. Identification and time
+    items.push([report.identifier
+        ? `${spellCode(report.airport_name)} INFORMATION ${report.identifier.toUpperCase()}`
+        : `${spellCode(report.airport_name)} INFORMATION`]);
+    const time = String(report.time_zulu || "").replace(/\D/g, "");
+    if (time) {
+        items.push([`TIME ${speakDigits(time)} ZULU`]);
+    }
+    if (report.data_age && report.data_age.remark) {
+        items.push([speakText(report.data_age.remark)]);
+    }
+
+    // 2. Runway, transition level and frequency
+    const runway = ["VISUAL APPROACH", `RUNWAY IN USE ${spellCode(report.runways_in_use)}`];
+    if (report.transition_level != null) {
+        runway.push(`TRANSITION LEVEL ${speakDigits(report.transition_level)}`);
+    }
+    items.push(runway);
+    if (report.frequency) {
+        items.push([`FREQUENCY ${speakDigits(report.frequency)}`]);
+    }
+
+    // 3. Wind
+    const wind = [];
+    if (report.wind_speed == null || isNaN(report.wind_speed) || report.wind_direction == null) {
+        wind.push("WIND NOT AVAILABLE");
+    } else if (Math.round(report.wind_speed) === 0) {
+        wind.push("WIND CALM");
+    } else {
+        wind.push(`WIND ${speakDigits(report.wind_dir_f)} DEGREES ${speakKnots(report.wind_speed)}`);
+        if (report.gust_speed > 0) {
+            wind.push(`GUSTING ${speakKnots(report.gust_speed)} FROM ${speakDigits(report.gust_dir_f)} DEGREES`);
+        }
+        const variation = report.wind_vrb ? String(report.wind_vrb).match(/(\d{3})\/(\d{3})/) : null;
+        if (variation) {
+            wind.push(`VARIABLE BETWEEN ${speakDigits(variation[1])} AND ${speakDigits(variation[2])} DEGREES`);
+        }
+    }
+    if (report.crosswind) {
+        let crosswind = `CROSSWIND ${speakKnots(report.crosswind.speed)} FROM THE ${report.crosswind.from}`;
+        if (report.crosswind.gust > report.crosswind.speed) {
+            crosswind += ` MAXIMUM ${speakKnots(report.crosswind.gust)}`;
+        }
+        wind.push(crosswind);
+    }
+    items.push(wind);
+
+    // 4. Visibility, weather and clouds
+    if (report.visibility > 10 && report.clouds == "SKY CLEAR") {
+        items.push(["CAVOK"]);
+    } else {
+        const visibility = report.visibility >= 10
+            ? "VISIBILITY ONE ZERO KILOMETERS OR MORE"
+            : `VISIBILITY ${speakDigits(report.visibility)} KILOMETERS`;
+        const conditions = report.visibility != null ? [visibility] : [];
+        if (report.phen) {
+            conditions.push(speakText(report.phen));
+        }
+        const clouds = [].concat(report.clouds ?? []).join(", ");
+        if (clouds) {
+            conditions.push(clouds == "SKY CLEAR" ? "SKY CLEAR" : `CLOUDS ${speakText(clouds)}`);
+        }
+        if (report.cloud_heights_estimated) {
+            conditions.push("HEIGHTS ESTIMATED");
+        }
+        if (conditions.length > 0) {
+            items.push(conditions);
+        }
+    }
+
+    // 5. Temperature, dew point and QNH
+    if (report.temperature != null) {
+        items.push([
+            `TEMPERATURE ${speakTemperature(report.temperature)}`,
+            `DEW POINT ${speakTemperature(report.dew_point)}`
+        ]);
+    }
+    if (report.qnh != null && !isNaN(report.qnh)) {
+        items.push([`QNH ${speakDigits(Math.round(report.qnh))}`]);
+    }
+    if (report.trend) {
+        items.push(speakTrend(report.trend));
+    }
+
+    // 6. Advisories and acknowledgment
+    if (report.density_altitude_advisory) {
+        items.push([speakText(report.density_altitude_advisory)]);
+    }
+    if (report.special_info) {
+        items.push(report.special_info.split(". ").map(speakText));
+    }
+    if (report.identifier) {
+        items.push([`ADVISE ON INITIAL CONTACT YOU HAVE INFORMATION ${report.identifier.toUpperCase()}`]);
+    }
+
+    return items;
+}
+
+/**
+ * Renders the ATIS as an SSML document: ICAO pronunciation of digits and letters,
+ * one sentence per item with pauses between items and between the groups of an item.
+ *
+ * @param {object} report - The ATIS report fields (see ATISReport).
+ * @returns {string} The SSML document.
+ */
+export function renderSsml(report) {
+    const sentences = buildSpokenItems(report).map(groups => {
+        const text = groups
+            .map(group => escapeXml(group).replace(/\bQNH\b/g, '<say-as interpret-as="characters">QNH</say-as>'))
+            .join(`, <break time="${GROUP_BREAK}"/>`);
+        return `    <s>${text}.</s><break time="${ITEM_BREAK}"/>`;
+    });
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<speak version="1.1" xmlns="http://www.w3.org/2001/10/synthesis" xml:lang="en-US">',
+        `<prosody rate="${SPEAKING_RATE}">`,
+        '<p>',
+        ...sentences,
+        '</p>',
+        '</prosody>',
+        '</speak>'
+    ].join("\n");
+}
+// --- END SPEECH RENDERING (SSML) ---
@@ -0,0 +1,136 @@
+import { roundDirectionToTen, trueToMagnetic } from './wmm.js';
+import { getCeiling } from './cloudBase.js';
+import { buildPresentWeather } from './windy.js';
+
+// --- TREND ---
+// Landing-forecast style outlook (ICAO Annex 3 TREND) built from the Windy forecast series.
+// Every outlook step is compared with the current forecast step rather than with the observation,
+// so a model that is always a few knots off doesn't produce a permanent change.
+
+// Used when the airport profile doesn't define its own 'trend' criteria
+const DEFAULT_TREND_CRITERIA = {
+    wind_direction_change_deg: 60,   // Direction change, only with a mean wind of...
+    wind_direction_min_speed_kt: 10, // ...this much before or after the change
+    wind_speed_change_kt: 10,
+    gust_margin_kt: 10               // Gusts count once they exceed the mean wind by this much
+};
+
+// Announced when the precipitation of the current step stops
+const NO_SIGNIFICANT_WEATHER = { code: "NSW", phrase: "NO SIGNIFICANT WEATHER" };
+
+/**
+ * Returns the trend criteria of the airport profile, completed with the defaults.
+ * @param {object} airport - The airport profile.
+ * @returns {object} The change criteria (degrees and knots).
+ */
+export function getTrendCriteria(airport) {
+    return { ...DEFAULT_TREND_CRITERIA, ...(airport.trend || {}) };
+}
+
+/**
+ * Height of the ceiling (lowest broken or overcast layer), Infinity without one.
+ */
+function getCeilingFt(cloudsShort) {
+    return getCeiling(cloudsShort)?.height_ft ?? Infinity;
+}
+
+function isGusting(forecast, criteria) {
+    return forecast.gust_speed != null && forecast.wind_speed != null
+        && forecast.gust_speed - forecast.wind_speed >= criteria.gust_margin_kt;
+}
+
+/**
+ * Present weather of a forecast step, with the same threshold, intensity and showers as the current weather.
+ */
+function getPresentWeather(forecast) {
+    return buildPresentWeather(forecast.ptype, forecast.precip_3h_mm ?? 0, forecast.conv_precip_3h_mm ?? 0, forecast.snow_precip_3h_mm ?? 0);
+}
+
+/**
+ * Signed direction change (-180 to 180), negative when the wind backs (turns anticlockwise).
+ */
+function getDirectionChange(fromDirection, toDirection) {
+    return ((toDirection - fromDirection + 540) % 360) - 180;
+}
+
+/**
+ * Compares an outlook step with the current forecast step.
+ * @returns {{wind: boolean, weather: boolean, clouds: boolean}} The kinds of change that meet the criteria.
+ */
+function detectChanges(current, step, criteria) {
+    let windShift = false;
+    if (current.wind_direction != null && step.wind_direction != null) {
+        windShift = Math.abs(getDirectionChange(current.wind_direction, step.wind_direction)) >= criteria.wind_direction_change_deg
+            && Math.max(current.wind_speed ?? 0, step.wind_speed ?? 0) >= criteria.wind_direction_min_speed_kt;
+    }
+    const speedChange = current.wind_speed != null && step.wind_speed != null
+        && Math.abs(step.wind_speed - current.wind_speed) >= criteria.wind_speed_change_kt;
+    const gustOnset = isGusting(step, criteria) && !isGusting(current, criteria);
+
+    return {
+        wind: windShift || speedChange || gustOnset,
+        // Precipitation starting, stopping or changing type, intensity or character
+        weather: getPresentWeather(step)?.code !== getPresentWeather(current)?.code,
+        // Only a lowering ceiling is operationally significant for a VFR field
+        clouds: getCeilingFt(step.clouds_short) < getCeilingFt(current.clouds_short)
+    };
+}
+
+/**
+ * Builds the TREND of the next hours from the Windy forecast and its outlook steps.
+ *
+ * The first step with a significant change (wind shift or speed change, gust onset, precipitation
+ * starting or stopping, ceiling lowering) starts the change group. It is BECMG when the same changes
+ * are all still forecast at the end of the outlook, TEMPO (until the first one stops) otherwise.
+ *
+ * @param {object | null} windyData - The Windy forecast (see fetchWindyData) with its `outlook`.
+ * @param {object} criteria - The change criteria (see getTrendCriteria).
+ * @param {number} declination - The magnetic declination, the trend wind is magnetic like the ATIS wind.
+ * @returns {object | null} {type: "NOSIG" | "BECMG" | "TEMPO", from, until, wind, weather, clouds, clouds_short},
+ * or null without a forecast series.
+ */
+export function buildTrend(windyData, criteria, declination) {
+    const outlook = windyData && Array.isArray(windyData.outlook) ? windyData.outlook : [];
+    if (outlook.length === 0) {
+        return null;
+    }
+
+    // 1. Onset: the first step with a significant change
+    const changes = outlook.map(step => detectChanges(windyData, step, criteria));
+    const onset = changes.findIndex(change => change.wind || change.weather || change.clouds);
+    if (onset < 0) {
+        return { type: "NOSIG", from: null, until: null, wind: null, weather: null, clouds: null, clouds_short: null };
+    }
+
+    // 2. BECMG if all the changes found at the onset last until the end of the outlook, TEMPO otherwise
+    const kinds = Object.keys(changes[onset]).filter(kind => changes[onset][kind]);
+    const end = changes.findIndex((change, index) => index > onset && !kinds.every(kind => change[kind]));
+    const step = outlook[onset];
+
+    // 3. The change group, with the values forecast at the onset
+    let wind = null;
+    if (kinds.includes("wind")) {
+        const turn = getDirectionChange(windyData.wind_direction, step.wind_direction);
+        wind = {
+            direction: roundDirectionToTen(trueToMagnetic(step.wind_direction, declination)),
+            speed: step.wind_speed,
+            gust: isGusting(step, criteria) ? step.gust_speed : null,
+            turn: Math.abs(turn) >= criteria.wind_direction_change_deg ? (turn < 0 ? "BACKING" : "VEERING") : null
+        };
+    }
+    let weather = null;
+    if (kinds.includes("weather")) {
+        weather = getPresentWeather(step) || NO_SIGNIFICANT_WEATHER;
+    }
+
+    return {
+        type: end < 0 ? "BECMG" : "TEMPO",
+        from: step.observationTime,
+        until: end < 0 ? null : outlook[end].observationTime,
+        wind: wind,
+        weather: weather,
+        clouds: kinds.includes("clouds") ? step.clouds : null,
+        clouds_short: kinds.includes("clouds") ? step.clouds_short : null
+    };
+}
+// --- END TREND ---
@@ -1,7 +1,28 @@
+// Default fusion configuration, an airport profile can override it with its own 'fusion' entry.
+// priorities: per-field source order, first wins ('default' applies to fields not listed).
+// maxAgeMinutes: values older than this (per kind, or per field) only win when nothing fresh is available.
+export const DEFAULT_FUSION_CONFIG = {
+    priorities: {
+        default: ["lerm", "aemet", "windy"]
+    },
+    maxAgeMinutes: {
+        observation: 90,
+        forecast: 180
+    },
+    fieldMaxAgeMinutes: {}
+};
+
 /**
  * A dataclass to store and manage the combined weather observation and prediction data.
+ * Every merged value is kept as a candidate with its source, kind and timestamp, and each field
+ * takes the value of the highest-priority fresh source (see DEFAULT_FUSION_CONFIG).
  */
 export class WeatherReportData {
+    // Private, so the merge logic never treats them as report fields
+    #candidates = {};
+    #provenance = {};
+    #fusionConfig;
+
     // --- Class Properties (Ensuring the merge logic knows which fields to accept) ---
     wind_direction;
     wind_speed;
@@ -17,14 +38,24 @@ export class WeatherReportData {
     sky;        // Mapped Octas value (e.g., 0-8)
     phenomenon; // Mapped weather phenomenon (e.g., "SHRA")
     wind_vrb;   // Wind variability field
+    wind_direction_true; // True wind direction and variability for the METAR (the others are magnetic)
+    wind_vrb_true;
     clouds;
     clouds_short;
 
     /**
      * Creates a new instance of WeatherReportData, initializing all fields 
      * to the provided values or null/default.
+     * @param {object} initialData - Values to start with (merged without provenance).
+     * @param {object} fusionConfig - Overrides of DEFAULT_FUSION_CONFIG (priorities, maxAgeMinutes, fieldMaxAgeMinutes).
      */
-    constructor(initialData = {}) {
+    constructor(initialData = {}, fusionConfig = {}) {
+        this.#fusionConfig = {
+            priorities: { ...DEFAULT_FUSION_CONFIG.priorities, ...(fusionConfig.priorities || {}) },
+            maxAgeMinutes: { ...DEFAULT_FUSION_CONFIG.maxAgeMinutes, ...(fusionConfig.maxAgeMinutes || {}) },
+            fieldMaxAgeMinutes: { ...DEFAULT_FUSION_CONFIG.fieldMaxAgeMinutes, ...(fusionConfig.fieldMaxAgeMinutes || {}) }
+        };
+
         // Initialize all properties to null
         this.wind_direction = null;
         this.wind_speed = null;
@@ -40,6 +71,8 @@ export class WeatherReportData {
         this.sky = null;
         this.phenomenon = null;
         this.wind_vrb = null;
+        this.wind_direction_true = null;
+        this.wind_vrb_true = null;
         this.clouds = null;
         this.clouds_short = null;
 
@@ -51,9 +84,13 @@ export class WeatherReportData {
          * Merges fields from a plain JavaScript object into the current class instance.
          * Only copies properties that already exist on the class and whose value 
          * in the sourceObject is NOT null.
+         * Without provenance the values simply overwrite the current ones. With provenance each value
+         * becomes a candidate and the field is re-resolved by source priority and age.
          * * @param {object} sourceObject - The object containing data to merge.
+         * * @param {object} [provenance] - Where the data comes from: {source, kind ('observation' | 'forecast'),
+         * observedAt (ISO time), fields: {[field]: {kind, observedAt}} for fields that differ from the rest}.
          */
-    mergeData(sourceObject) {
+    mergeData(sourceObject, provenance = null) {
         if (typeof sourceObject !== 'object' || sourceObject === null) {
             console.warn("Merge operation skipped: sourceObject is not a valid object.");
             return;
@@ -63,13 +100,84 @@ export class WeatherReportData {
             // Check 1: Ensure the property exists on the class instance
             if (this.hasOwnProperty(key)) {
                 // Check 2: Only merge if the source value is NOT null
-                if (sourceObject[key] !== null) {
-                    this[key] = sourceObject[key];
+                if (sourceObject[key] !== null && sourceObject[key] !== undefined) {
+                    if (!provenance) {
+                        this[key] = sourceObject[key];
+                        continue;
+                    }
+                    const fieldProvenance = (provenance.fields && provenance.fields[key]) || {};
+                    const candidates = this.#candidates[key] || (this.#candidates[key] = []);
+                    // A source only has one candidate per field, the latest merge replaces it
+                    const index = candidates.findIndex(candidate => candidate.source === provenance.source);
+                    const candidate = {
+                        value: sourceObject[key],
+                        source: provenance.source,
+                        kind: fieldProvenance.kind || provenance.kind || "observation",
+                        observedAt: fieldProvenance.observedAt || provenance.observedAt || null
+                    };
+                    if (index >= 0) {
+                        candidates[index] = candidate;
+                    } else {
+                        candidates.push(candidate);
+                    }
+                    this.#resolveField(key);
                 }
             }
         }
     }
 
+    /**
+     * Picks the value of a field among its candidates: fresh values first, ordered by the
+     * field's source priority; when every value is stale, the most recent one.
+     * @param {string} field - The field to resolve.
+     */
+    #resolveField(field) {
+        const now = Date.now();
+        const config = this.#fusionConfig;
+        const priorities = config.priorities[field] || config.priorities.default;
+
+        const ranked = this.#candidates[field].map(candidate => {
+            const observedMs = candidate.observedAt ? new Date(candidate.observedAt).getTime() : NaN;
+            // Forecast valid times can be slightly ahead of now, so the age is the distance from now
+            const ageMinutes = isNaN(observedMs) ? null : Math.round(Math.abs(now - observedMs) / 60000);
+            const maxAge = config.fieldMaxAgeMinutes[field] != null
+                ? config.fieldMaxAgeMinutes[field]
+                : config.maxAgeMinutes[candidate.kind];
+            const priority = priorities.indexOf(candidate.source);
+            return {
+                ...candidate,
+                ageMinutes: ageMinutes,
+                // Without a timestamp the age is unknown, the value is not considered stale
+                stale: ageMinutes != null && maxAge != null && ageMinutes > maxAge,
+                priority: priority < 0 ? priorities.length : priority
+            };
+        });
+
+        ranked.sort((a, b) => {
+            if (a.stale !== b.stale) return a.stale ? 1 : -1;
+            if (!a.stale && a.priority !== b.priority) return a.priority - b.priority;
+            return (a.ageMinutes ?? Infinity) - (b.ageMinutes ?? Infinity);
+        });
+
+        const best = ranked[0];
+        this[field] = best.value;
+        this.#provenance[field] = {
+            source: best.source,
+            kind: best.kind,
+            observedAt: best.observedAt,
+            ageMinutes: best.ageMinutes,
+            stale: best.stale
+        };
+    }
+
+    /**
+     * Returns, for every field merged with provenance, where its current value comes from.
+     * @returns {object} A map of field -> {source, kind, observedAt, ageMinutes, stale}.
+     */
+    getProvenance() {
+        return { ...this.#provenance };
+    }
+
     /**
      * Static method to create a new instance where all fields are explicitly null.
      */
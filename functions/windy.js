@@ -1,16 +1,90 @@
+import { getDataAgeLimits } from './dataAge.js';
+import { estimateCloudBaseFt, MIN_LAYER_SEPARATION_FT } from './cloudBase.js';
+
+// Point-forecast model queried when the profile doesn't list any (sources.windy.models)
+const DEFAULT_WINDY_MODELS = ["iconEu"];
+
+// Hours of forecast after the current step kept for the TREND
+const OUTLOOK_HOURS = 3;
+
+// Windy precipitation type codes ('ptype') and the METAR present-weather code of each (0 is none)
+export const WINDY_PRECIPITATION_TYPES = { 1: "RA", 3: "FZRA", 5: "SN", 7: "RASN", 8: "PL" };
+
+// Plain-English phrase of each precipitation code, qualified with the intensity and "SHOWERS"
+const PRECIPITATION_PHRASES = { RA: "RAIN", FZRA: "FREEZING RAIN", SN: "SNOW", RASN: "RAIN AND SNOW", PL: "ICE PELLETS" };
+
+// Precipitation rates (mm/h, water equivalent) below which precipitation is light and from which it
+// is heavy. Snow has its own, a few mm of water are already a heavy snowfall
+const PRECIPITATION_INTENSITIES_MMH = {
+    default: { light_below: 2.5, heavy_from: 7.6 },
+    SN: { light_below: 1.0, heavy_from: 2.5 }
+};
+// Less than this is not reported as present weather
+const MIN_PRECIPITATION_MMH = 0.1;
+// Share of convective precipitation from which rain and snow are reported as showers
+const SHOWERS_CONVECTIVE_FRACTION = 0.5;
+
+// Cloud cover spread between the models (percentage points, largest of the three layers)
+// up to which the consensus is given each confidence; above the last one it is "LOW"
+const CLOUD_CONFIDENCE_SPREADS = [
+    { max_spread: 25, confidence: "HIGH" },
+    { max_spread: 50, confidence: "MEDIUM" }
+];
+
+/**
+ * Returns the Windy models of an airport profile ('models', or the single 'model' of older profiles).
+ * @param {object} airport - The airport profile.
+ * @returns {Array<string>} The Windy point-forecast model names.
+ */
+export function getWindyModels(airport) {
+    const settings = airport.sources.windy || {};
+    if (Array.isArray(settings.models) && settings.models.length > 0) {
+        return settings.models;
+    }
+    return settings.model ? [settings.model] : DEFAULT_WINDY_MODELS;
+}
+
+/**
+ * Fetches the forecast of every Windy model configured for the airport and combines them
+ * into a consensus (see combineWindyForecasts). Models that fail are left out.
+ *
+ * @param {string} apikey - The Windy point-forecast API key.
+ * @param {object} airport - The airport profile (coordinates and Windy models).
+ * @param {Function} [fetchFn] - The fetch implementation (a capturing one records the responses).
+ * @returns {Promise<object | null>} The consensus forecast, or null if no model is available.
+ */
+export async function fetchWindyData(apikey, airport, fetchFn = fetch) {
+    const models = getWindyModels(airport);
+    const forecasts = await Promise.all(models.map(model => fetchWindyModel(apikey, airport, model, fetchFn)));
+
+    const members = models
+        .map((model, index) => ({ model: model, forecast: forecasts[index] }))
+        .filter(member => member.forecast && member.forecast.temperature != null);
+    if (members.length === 0) {
+        return null;
+    }
+    if (members.length < models.length) {
+        console.warn(`Windy consensus built from ${members.length} of ${models.length} models.`);
+    }
+    return combineWindyForecasts(members);
+}
+
 /**
- * Fetches forecast data from the Windy API, finds the timestamp closest to the current time, 
+ * Fetches forecast data from the Windy API for one model, finds the timestamp closest to the current time,
  * and extracts all metric values for that single timestamp.
- * * @param {object} env - The Cloudflare Pages Environment object containing secrets.
+ * * @param {string} apikey - The Windy point-forecast API key.
+ * @param {object} airport - The airport profile (coordinates).
+ * @param {string} model - The Windy model (e.g. "iconEu", "gfs", "arome").
+ * @param {Function} [fetchFn] - The fetch implementation (a capturing one records the response).
  * @returns {Promise<object | null>} An object containing the closest forecast data, or null on failure.
  */
-export async function fetchWindyData(apikey) {
+async function fetchWindyModel(apikey, airport, model, fetchFn = fetch) {
     const WINDY_API_URL = "https://api.windy.com/api/point-forecast/v2";
 
     // --- Configuration ---
-    const LAT = 40.86030;
-    const LONG = -3.24586;
-    const MODEL = "iconEu";
+    const LAT = airport.coordinates.lat;
+    const LONG = airport.coordinates.lon;
+    const MODEL = model;
     const LEVELS = ["surface"];
     const PARAMETERS = [
         "temp", "dewpoint", "wind", "windGust", "precip", "convPrecip",
@@ -29,7 +103,7 @@ export async function fetchWindyData(apikey) {
 
     try {
         // 1. Send POST request to Windy API
-        const response = await fetch(WINDY_API_URL, {
+        const response = await fetchFn(WINDY_API_URL, {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
@@ -40,7 +114,7 @@ export async function fetchWindyData(apikey) {
         // 2. Check for HTTP errors
         if (!response.ok) {
             const errorText = await response.text();
-            console.error(`Windy API call failed with status ${response.status}: ${errorText}`);
+            console.error(`Windy API call (${MODEL}) failed with status ${response.status}: ${errorText}`);
             return null;
         }
 
@@ -64,34 +138,81 @@ export async function fetchWindyData(apikey) {
             return null;
         }
 
-        // 4. Extract all metrics for the closest index
-        const closestForecast = {};
-
-        // Loop through all properties in the returned data object (excluding 'ts' and 'units')
-        for (const key in data) {
-            if (Array.isArray(data[key]) && key !== 'ts') {
-                // The key is a parameter array (e.g., 'temp-surface')
-                closestForecast[key] = data[key][closestIndex];
-            } else if (key === 'ts') {
-                // Include the timestamp itself
-                closestForecast.timestampMs = data[key][closestIndex];
-                closestForecast.timestampUTC = new Date(data[key][closestIndex]).toISOString();
-            }
+        // A forecast series that doesn't cover the current time is not used as current weather
+        const maxAgeMinutes = getDataAgeLimits(airport).reject_forecast_after_minutes;
+        if (minTimeDiff > maxAgeMinutes * 60000) {
+            console.warn(`Windy ${MODEL} forecast discarded: closest step is ${Math.round(minTimeDiff / 60000)} minutes from now.`);
+            return null;
         }
 
+        // 4. Extract all metrics for the closest index
+        const closestForecast = extractWindyStep(data, closestIndex);
+
         // 5. Add Units for reference
         if (data.units) {
             closestForecast.units = data.units;
         }
 
-        return parseWindyForecast(closestForecast);
+        // 6. The following steps are kept as the outlook the TREND is built from (see trend.js)
+        const outlookEndMs = nowMs + OUTLOOK_HOURS * 60 * 60 * 1000;
+        const outlook = [];
+        data.ts.forEach((timestamp, index) => {
+            if (timestamp > data.ts[closestIndex] && timestamp <= outlookEndMs) {
+                outlook.push(parseWindyForecast(extractWindyStep(data, index)));
+            }
+        });
+
+        return { ...parseWindyForecast(closestForecast), outlook: outlook };
 
     } catch (error) {
-        console.error("Error fetching or processing Windy data:", error.message);
+        console.error(`Error fetching or processing Windy ${MODEL} data:`, error.message);
         return null;
     }
 }
 
+// --- SOURCE PROVIDER (see providers.js) ---
+export const windyProvider = {
+    id: "windy",
+    kind: "forecast",
+    ttlSeconds: 10 * 60,
+    timeoutMs: 8000,
+    requiredSecrets: ["WINDY_API_KEY"],
+    fieldStation: false,
+    async fetch(env, KVStore, airport, fetchFn) {
+        const data = await fetchWindyData(env.WINDY_API_KEY, airport, fetchFn);
+        if (!data) {
+            throw new Error("No Windy forecast available");
+        }
+        return data;
+    },
+    provenance(data) {
+        return { source: "windy", kind: "forecast", observedAt: data.observedAt };
+    }
+};
+
+/**
+ * Extracts the values of every parameter series at one step of the Windy response.
+ * @param {object} data - The Windy point-forecast response.
+ * @param {number} index - The index of the step in `data.ts`.
+ * @returns {object} The step values, keyed like the response (e.g. 'temp-surface'), with its timestamp.
+ */
+function extractWindyStep(data, index) {
+    const step = {};
+
+    // Loop through all properties in the returned data object (excluding 'ts' and 'units')
+    for (const key in data) {
+        if (Array.isArray(data[key]) && key !== 'ts') {
+            // The key is a parameter array (e.g., 'temp-surface')
+            step[key] = data[key][index];
+        } else if (key === 'ts') {
+            // Include the timestamp itself
+            step.timestampMs = data[key][index];
+            step.timestampUTC = new Date(data[key][index]).toISOString();
+        }
+    }
+    return step;
+}
+
 /**
  * Converts raw Windy API forecast data into the structure and units 
  * required by the WeatherReportData class.
@@ -175,9 +296,14 @@ function parseWindyForecast(windyData) {
 
     // Convert 3-hour precipitation (meters) to mm (0 if null/undefined)
     const precipMm = (windyData['past3hprecip-surface'] || 0) * 1000;
+    const convPrecipMm = (windyData['past3hconvprecip-surface'] || 0) * 1000;
+    const snowPrecipMm = (windyData['past3hsnowprecip-surface'] || 0) * 1000;
 
     const atisTime = convertToAtisTime(windyData.timestampUTC);
-    const cloudsLayers = mapWindyCloudsToOctas(windyData['lclouds-surface'], windyData['mclouds-surface'], windyData['hclouds-surface'], parseFloat(qnhHpa.toFixed(1)))
+    const cloudsLayers = mapWindyCloudsToOctas(
+        windyData['lclouds-surface'], windyData['mclouds-surface'], windyData['hclouds-surface'],
+        parseFloat(qnhHpa.toFixed(1)), estimateCloudBaseFt(tempC, dewPointC)
+    );
 
 
     // --- Map to WeatherReportData structure ---
@@ -194,9 +320,11 @@ function parseWindyForecast(windyData) {
         dew_point: parseFloat(dewPointC.toFixed(1)),
         qnh: parseFloat(qnhHpa.toFixed(1)),
         prec: precipMm > 0 ? Math.round(parseFloat(precipMm.toFixed(1))) : 0,
+        phenomenon: buildPresentWeather(windyData['ptype-surface'], precipMm, convPrecipMm, snowPrecipMm)?.phrase ?? null,
 
         // Timing (AEMET data uses 'HHMMZ' format for observationTime, Windy uses ISO)
         observationTime: atisTime,
+        observedAt: windyData.timestampUTC, // Forecast valid time (ISO), used for the data provenance
 
         // --- Raw Windy Fields (Optional, for debugging) ---
         lClouds_percent: windyData['lclouds-surface'],
@@ -204,28 +332,262 @@ function parseWindyForecast(windyData) {
         hClouds_percent: windyData['hclouds-surface'],
         clouds: cloudsLayers.clouds,
         clouds_short: cloudsLayers.clouds_short,
-        ptype: windyData['ptype-surface'] // Precipitation Type Code
+        ptype: windyData['ptype-surface'], // Precipitation Type Code
+        precip_3h_mm: precipMm,
+        conv_precip_3h_mm: convPrecipMm,
+        snow_precip_3h_mm: snowPrecipMm
     };
 
     return reportData;
 }
 
+// --- PRESENT WEATHER ---
+
+/**
+ * Turns the Windy precipitation type and amounts into present weather: intensity from the rate,
+ * showers when most of it is convective. Without a type code the type comes from the snow share.
+ *
+ * @param {number | null} ptype - The Windy precipitation type code (see WINDY_PRECIPITATION_TYPES).
+ * @param {number} precipMm - Precipitation of the last 3 hours, in mm.
+ * @param {number} convPrecipMm - Convective precipitation of the last 3 hours, in mm.
+ * @param {number} snowPrecipMm - Snow (water equivalent) of the last 3 hours, in mm.
+ * @returns {{code: string, phrase: string} | null} The METAR group and its phrase (e.g. "-SHRA",
+ * "LIGHT RAIN SHOWERS"), or null without precipitation.
+ */
+export function buildPresentWeather(ptype, precipMm, convPrecipMm, snowPrecipMm) {
+    const rateMmh = precipMm / 3;
+    if (!(rateMmh >= MIN_PRECIPITATION_MMH)) {
+        return null;
+    }
+
+    // 1. Type: the model's own code, or rain/snow by the share of snow
+    let type;
+    if (ptype != null) {
+        type = WINDY_PRECIPITATION_TYPES[Math.round(ptype)];
+    } else {
+        const snowFraction = snowPrecipMm / precipMm;
+        type = snowFraction >= 0.9 ? "SN" : (snowFraction > 0.1 ? "RASN" : "RA");
+    }
+    if (!type) {
+        return null; // The model has no precipitation falling at this time
+    }
+
+    // 2. Intensity from the mean rate
+    const intensities = PRECIPITATION_INTENSITIES_MMH[type] || PRECIPITATION_INTENSITIES_MMH.default;
+    const intensity = rateMmh < intensities.light_below ? "-" : (rateMmh >= intensities.heavy_from ? "+" : "");
+
+    // 3. Showers: only rain and snow, freezing rain and ice pellets are never convective
+    const showers = ["RA", "SN", "RASN"].includes(type) && convPrecipMm / precipMm >= SHOWERS_CONVECTIVE_FRACTION;
+
+    const intensityWord = { "-": "LIGHT ", "+": "HEAVY ", "": "" }[intensity];
+    return {
+        code: `${intensity}${showers ? "SH" : ""}${type}`,
+        phrase: `${intensityWord}${PRECIPITATION_PHRASES[type]}${showers ? " SHOWERS" : ""}`
+    };
+}
+// --- END PRESENT WEATHER ---
+
+// --- MODEL CONSENSUS ---
+
+/**
+ * Median of the non-null values, or null when there are none.
+ */
+function median(values) {
+    const sorted = values.filter(value => value != null && !isNaN(value)).sort((a, b) => a - b);
+    if (sorted.length === 0) {
+        return null;
+    }
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Angle between two directions, the short way round (0-180 degrees).
+ */
+function angularDistance(a, b) {
+    const difference = Math.abs(a - b) % 360;
+    return Math.min(difference, 360 - difference);
+}
+
+/**
+ * Circular median of wind directions: the direction with the least total angular distance to the others,
+ * so 350 and 10 give 360 rather than 180 and one model far off doesn't drag the consensus like a mean.
+ * The candidates are the directions and the midpoints between neighbours; with an even count several
+ * of them are at the same total distance and the one closest to the middle (least squared distance) is taken.
+ * @returns {number | null} The direction rounded to 10 degrees (360 for north), or null.
+ */
+function medianDirection(directions) {
+    const valid = directions.filter(direction => direction != null && !isNaN(direction)).sort((a, b) => a - b);
+    if (valid.length <= 1) {
+        return valid[0] ?? null;
+    }
+    const midpoints = valid.map((direction, index) => {
+        const next = index + 1 < valid.length ? valid[index + 1] : valid[0] + 360;
+        return ((direction + next) / 2) % 360;
+    });
+
+    let best = null;
+    for (const candidate of [...valid, ...midpoints]) {
+        const distances = valid.map(direction => angularDistance(candidate, direction));
+        const total = distances.reduce((sum, distance) => sum + distance, 0);
+        const squared = distances.reduce((sum, distance) => sum + distance * distance, 0);
+        if (best === null || total < best.total - 1e-9 || (Math.abs(total - best.total) <= 1e-9 && squared < best.squared)) {
+            best = { direction: candidate, total: total, squared: squared };
+        }
+    }
+    return Math.round(best.direction / 10) * 10 % 360 || 360;
+}
+
+/**
+ * Most frequent non-null value, the earliest one on a tie (models are listed by preference).
+ */
+function mostFrequent(values) {
+    const counts = new Map();
+    for (const value of values.filter(value => value != null)) {
+        counts.set(value, (counts.get(value) || 0) + 1);
+    }
+    let best = null;
+    for (const [value, count] of counts) {
+        if (best === null || count > counts.get(best)) {
+            best = value;
+        }
+    }
+    return best;
+}
+
+/**
+ * Consensus of several forecasts valid at the same time: median wind, temperature, dew point,
+ * QNH, cloud cover and precipitation, the maximum gust and the most frequent precipitation type.
+ * A single forecast gives its own values.
+ * @param {Array<object>} forecasts - Forecasts in the parseWindyForecast structure.
+ * @returns {object} The consensus, in the same structure.
+ */
+function buildConsensus(forecasts) {
+    const values = field => forecasts.map(forecast => forecast[field]);
+
+    const qnh = median(values("qnh"));
+    const temperature = median(values("temperature"));
+    const dewPoint = median(values("dew_point"));
+    const lowClouds = median(values("lClouds_percent"));
+    const midClouds = median(values("mClouds_percent"));
+    const highClouds = median(values("hClouds_percent"));
+    const cloudsLayers = mapWindyCloudsToOctas(lowClouds, midClouds, highClouds, qnh, estimateCloudBaseFt(temperature, dewPoint));
+    const windDirection = medianDirection(values("wind_direction"));
+    const gustSpeed = Math.max(...values("gust_speed").filter(speed => speed != null));
+    const ptype = mostFrequent(values("ptype"));
+    const precipMm = median(values("precip_3h_mm")) ?? 0;
+    const convPrecipMm = median(values("conv_precip_3h_mm")) ?? 0;
+    const snowPrecipMm = median(values("snow_precip_3h_mm")) ?? 0;
+
+    // The oldest valid time, so the provenance never makes the consensus look fresher than a member
+    const oldest = forecasts.reduce((older, forecast) => (forecast.observedAt < older.observedAt ? forecast : older));
+
+    return {
+        wind_direction: windDirection,
+        wind_speed: Math.round(median(values("wind_speed"))),
+        gust_direction: windDirection,
+        gust_speed: isFinite(gustSpeed) ? gustSpeed : null,
+        wind_vrb: null,
+
+        temperature: temperature,
+        dew_point: dewPoint,
+        qnh: qnh,
+        prec: median(values("prec")),
+        phenomenon: buildPresentWeather(ptype, precipMm, convPrecipMm, snowPrecipMm)?.phrase ?? null,
+
+        observationTime: oldest.observationTime,
+        observedAt: oldest.observedAt,
+
+        lClouds_percent: lowClouds,
+        mClouds_percent: midClouds,
+        hClouds_percent: highClouds,
+        clouds: cloudsLayers.clouds,
+        clouds_short: cloudsLayers.clouds_short,
+        ptype: ptype,
+        precip_3h_mm: precipMm,
+        conv_precip_3h_mm: convPrecipMm,
+        snow_precip_3h_mm: snowPrecipMm
+    };
+}
+
+/**
+ * Combines the forecasts of several Windy models into a consensus (see buildConsensus), with the
+ * spread of the cloud cover between models as its confidence. The outlook steps are combined
+ * the same way, each with the models that have a step at that time.
+ *
+ * @param {Array<{model: string, forecast: object}>} members - The parsed forecast of each model.
+ * @returns {object} The consensus in the parseWindyForecast structure (with its `outlook`), plus
+ * `ensemble` (models, cloud spread, confidence) and `models` (every model's own forecast).
+ */
+function combineWindyForecasts(members) {
+    const forecasts = members.map(member => member.forecast);
+
+    // 1. Cloud cover spread (max - min per layer) as the confidence indicator
+    const cloudSpread = {};
+    for (const [layer, field] of [["low", "lClouds_percent"], ["mid", "mClouds_percent"], ["high", "hClouds_percent"]]) {
+        const valid = forecasts.map(forecast => forecast[field]).filter(percent => percent != null);
+        cloudSpread[layer] = valid.length > 0 ? Math.round(Math.max(...valid) - Math.min(...valid)) : null;
+    }
+    const largestSpread = Math.max(...Object.values(cloudSpread).map(spread => spread ?? 0));
+    const confidence = members.length < 2
+        ? null
+        : (CLOUD_CONFIDENCE_SPREADS.find(level => largestSpread <= level.max_spread)?.confidence || "LOW");
+
+    // 2. Outlook: the valid times of the model with the finest steps
+    const stepTimes = forecasts
+        .map(forecast => (forecast.outlook || []).map(step => step.observedAt))
+        .reduce((finest, times) => (times.length > finest.length ? times : finest), []);
+    const outlook = stepTimes.map(time => buildConsensus(forecasts
+        .flatMap(forecast => forecast.outlook || [])
+        .filter(step => step.observedAt === time)));
+
+    return {
+        ...buildConsensus(forecasts),
+        outlook: outlook,
+        ensemble: {
+            models: members.map(member => member.model),
+            cloud_spread_percent: cloudSpread,
+            cloud_confidence: confidence
+        },
+        models: Object.fromEntries(members.map(member => [member.model, member.forecast]))
+    };
+}
+// --- END MODEL CONSENSUS ---
+
+/**
+ * Rebuilds the cloud layers of a Windy forecast with another cloud base, so the report can place
+ * the low layer with the best available temperature and dew point (Windy only gives the amounts).
+ * @param {object} windyData - The Windy forecast (see fetchWindyData).
+ * @param {number | null} cloudBaseFt - The estimated cloud base (see estimateCloudBaseFt).
+ * @returns {{clouds: Array<string>, clouds_short: Array<string>} | null} The layers, or null without a forecast.
+ */
+export function buildWindyCloudLayers(windyData, cloudBaseFt) {
+    if (!windyData || windyData.qnh == null) {
+        return null;
+    }
+    return mapWindyCloudsToOctas(
+        windyData.lClouds_percent, windyData.mClouds_percent, windyData.hClouds_percent, windyData.qnh, cloudBaseFt
+    );
+}
+
 /**
  * Converts cloud percentages from Windy (Low, Medium, High) into aviation Octas 
  * and standard cloud reporting codes (FEW, SCT, BKN, OVC).
  * * @param {number} lclouds_percent - Low cloud cover percentage (0-100).
  * @param {number} mclouds_percent - Medium cloud cover percentage (0-100).
  * @param {number} hclouds_percent - High cloud cover percentage (0-100).
- * @returns {Array<string>} An array of cloud reports (e.g., ["BKN030", "OVC080"]).
+ * @param {number} qnh - The QNH in hPa, for the heights of the mid and high layers.
+ * @param {number | null} cloudBaseFt - The estimated base of the low layer (see estimateCloudBaseFt).
+ * @returns {{clouds: Array<string>, clouds_short: Array<string>}} The cloud layers (e.g. "BROKEN at 4800 feet", "BKN 4800ft").
  */
-function mapWindyCloudsToOctas(lclouds_percent, mclouds_percent, hclouds_percent, qnh) {
+function mapWindyCloudsToOctas(lclouds_percent, mclouds_percent, hclouds_percent, qnh, cloudBaseFt) {
 
     // Cloud layers are reported cumulatively, but since Windy gives layers, 
     // we convert each layer independently to Octas/Code.
 
     const cloudLayersShort = [];
     const cloudLayers = [];
-    const altitudes = estimateCloudAltitude(qnh)
+    const altitudes = estimateCloudAltitude(qnh, cloudBaseFt)
 
     // --- Octas Mapping Utility ---
     function percentToOctas(percent) {
@@ -254,14 +616,12 @@ function mapWindyCloudsToOctas(lclouds_percent, mclouds_percent, hclouds_percent
 
     // --- Process Layers ---
 
-    // Note: Since Windy doesn't provide cloud height (ceiling), 
-    // we use placeholder heights (e.g., 3000ft for low, 8000ft for mid, 25000ft for high).
-    // If your ATIS uses only one field for 'sky', you'll need a final selection step.
+    // Note: Since Windy doesn't provide cloud height (ceiling), the low layer is placed at the
+    // cloud base estimated from the temperature/dew point spread and the others at fixed pressure levels.
 
     // 1. Low Clouds
     const lowOctas = percentToOctas(lclouds_percent);
     if (lowOctas > 0) {
-        // Use 3000ft as a placeholder altitude for low clouds
         cloudLayersShort.push(`${octasToCodeShort(lowOctas)} ${altitudes.altitudeLow}ft`);
         cloudLayers.push(`${octasToCode(lowOctas)} at ${altitudes.altitudeLow} feet`);
     }
@@ -269,7 +629,6 @@ function mapWindyCloudsToOctas(lclouds_percent, mclouds_percent, hclouds_percent
     // 2. Medium Clouds
     const midOctas = percentToOctas(mclouds_percent);
     if (midOctas > 0) {
-        // Use 8000ft as a placeholder altitude for medium clouds
         cloudLayers.push(`${octasToCode(midOctas)} at ${altitudes.altitudeMid} feet`);
         cloudLayersShort.push(`${octasToCodeShort(midOctas)} ${altitudes.altitudeMid}ft`);
     }
@@ -277,7 +636,6 @@ function mapWindyCloudsToOctas(lclouds_percent, mclouds_percent, hclouds_percent
     // 3. High Clouds
     const highOctas = percentToOctas(hclouds_percent);
     if (highOctas > 0) {
-        // Use 25000ft as a placeholder altitude for high clouds
         cloudLayers.push(`${octasToCode(highOctas)} at ${altitudes.altitudeHigh} feet`);
         cloudLayersShort.push(`${octasToCodeShort(highOctas)} ${altitudes.altitudeHigh}ft`);
     }
@@ -298,10 +656,12 @@ function mapWindyCloudsToOctas(lclouds_percent, mclouds_percent, hclouds_percent
 
 /**
  * Estimates cloud altitude based on pressure difference and a constant gradient.
+ * The low layer is at the estimated cloud base when there is one, and each layer stays above the one below.
  * * @param {number} qnh - The actual surface pressure (QNH) in hPa.
+ * @param {number | null} cloudBaseFt - The estimated base of the low layer.
  * @returns {object} Estimated altitudes in feet for low, medium, and high clouds.
  */
-function estimateCloudAltitude(qnh) {
+function estimateCloudAltitude(qnh, cloudBaseFt = null) {
     // Pressure levels for the cloud layers (in hPa)
     const P_LOW_CLOUDS = 800;
     const P_MID_CLOUDS = 600;
@@ -321,9 +681,9 @@ function estimateCloudAltitude(qnh) {
         return Math.round(altitude / 100) * 100;
     }
 
-    const altitudeLow = calculateAltitude(P_LOW_CLOUDS);
-    const altitudeMid = calculateAltitude(P_MID_CLOUDS);
-    const altitudeHigh = calculateAltitude(P_HIGH_CLOUDS);
+    const altitudeLow = cloudBaseFt ?? calculateAltitude(P_LOW_CLOUDS);
+    const altitudeMid = Math.max(calculateAltitude(P_MID_CLOUDS), altitudeLow + MIN_LAYER_SEPARATION_FT);
+    const altitudeHigh = Math.max(calculateAltitude(P_HIGH_CLOUDS), altitudeMid + MIN_LAYER_SEPARATION_FT);
 
     return {
         altitudeLow,
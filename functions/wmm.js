@@ -0,0 +1,236 @@
+// --- WORLD MAGNETIC MODEL ---
+// WMM2025 coefficients (NOAA NCEI / BGS), valid 2025.0 - 2030.0. Bundled so that the magnetic
+// variation is computed offline, without a network call.
+// Each row is [n, m, g (nT), h (nT), dg/dt (nT/yr), dh/dt (nT/yr)], as in the WMM.COF file.
+const WMM_EPOCH = 2025.0;
+const WMM_NAME = "WMM2025";
+const WMM_MAX_DEGREE = 12;
+const WMM_COEFFICIENTS = [
+    [1, 0, -29351.8, 0, 12, 0],
+    [1, 1, -1410.8, 4545.4, 9.7, -21.5],
+    [2, 0, -2556.6, 0, -11.6, 0],
+    [2, 1, 2951.1, -3133.6, -5.2, -27.7],
+    [2, 2, 1649.3, -815.1, -8, -12.1],
+    [3, 0, 1361, 0, -1.3, 0],
+    [3, 1, -2404.1, -56.6, -4.2, 4],
+    [3, 2, 1243.8, 237.5, 0.4, -0.3],
+    [3, 3, 453.6, -549.5, -15.6, -4.1],
+    [4, 0, 895, 0, -1.6, 0],
+    [4, 1, 799.5, 278.6, -2.4, -1.1],
+    [4, 2, 55.7, -133.9, -6, 4.1],
+    [4, 3, -281.1, 212, 5.6, 1.6],
+    [4, 4, 12.1, -375.6, -7, -4.4],
+    [5, 0, -233.2, 0, 0.6, 0],
+    [5, 1, 368.9, 45.4, 1.4, -0.5],
+    [5, 2, 187.2, 220.2, 0, 2.2],
+    [5, 3, -138.7, -122.9, 0.6, 0.4],
+    [5, 4, -142, 43, 2.2, 1.7],
+    [5, 5, 20.9, 106.1, 0.9, 1.9],
+    [6, 0, 64.4, 0, -0.2, 0],
+    [6, 1, 63.8, -18.4, -0.4, 0.3],
+    [6, 2, 76.9, 16.8, 0.9, -1.6],
+    [6, 3, -115.7, 48.8, 1.2, -0.4],
+    [6, 4, -40.9, -59.8, -0.9, 0.9],
+    [6, 5, 14.9, 10.9, 0.3, 0.7],
+    [6, 6, -60.7, 72.7, 0.9, 0.9],
+    [7, 0, 79.5, 0, 0, 0],
+    [7, 1, -77, -48.9, -0.1, 0.6],
+    [7, 2, -8.8, -14.4, -0.1, 0.5],
+    [7, 3, 59.3, -1, 0.5, -0.8],
+    [7, 4, 15.8, 23.4, -0.1, 0],
+    [7, 5, 2.5, -7.4, -0.8, -1],
+    [7, 6, -11.1, -25.1, -0.8, 0.6],
+    [7, 7, 14.2, -2.3, 0.8, -0.2],
+    [8, 0, 23.2, 0, -0.1, 0],
+    [8, 1, 10.8, 7.1, 0.2, -0.2],
+    [8, 2, -17.5, -12.6, 0, 0.5],
+    [8, 3, 2, 11.4, 0.5, -0.4],
+    [8, 4, -21.7, -9.7, -0.1, 0.4],
+    [8, 5, 16.9, 12.7, 0.3, -0.5],
+    [8, 6, 15, 0.7, 0.2, -0.6],
+    [8, 7, -16.8, -5.2, 0, 0.3],
+    [8, 8, 0.9, 3.9, 0.2, 0.2],
+    [9, 0, 4.6, 0, 0, 0],
+    [9, 1, 7.8, -24.8, -0.1, -0.3],
+    [9, 2, 3, 12.2, 0.1, 0.3],
+    [9, 3, -0.2, 8.3, 0.3, -0.3],
+    [9, 4, -2.5, -3.3, -0.3, 0.3],
+    [9, 5, -13.1, -5.2, 0, 0.2],
+    [9, 6, 2.4, 7.2, 0.3, -0.1],
+    [9, 7, 8.6, -0.6, -0.1, -0.2],
+    [9, 8, -8.7, 0.8, 0.1, 0.4],
+    [9, 9, -12.9, 10, -0.1, 0.1],
+    [10, 0, -1.3, 0, 0.1, 0],
+    [10, 1, -6.4, 3.3, 0, 0],
+    [10, 2, 0.2, 0, 0.1, 0],
+    [10, 3, 2, 2.4, 0.1, -0.2],
+    [10, 4, -1, 5.3, 0, 0.1],
+    [10, 5, -0.6, -9.1, -0.3, -0.1],
+    [10, 6, -0.9, 0.4, 0, 0.1],
+    [10, 7, 1.5, -4.2, -0.1, 0],
+    [10, 8, 0.9, -3.8, -0.1, -0.1],
+    [10, 9, -2.7, 0.9, 0, 0.2],
+    [10, 10, -3.9, -9.1, 0, 0],
+    [11, 0, 2.9, 0, 0, 0],
+    [11, 1, -1.5, 0, 0, 0],
+    [11, 2, -2.5, 2.9, 0, 0.1],
+    [11, 3, 2.4, -0.6, 0, 0],
+    [11, 4, -0.6, 0.2, 0, 0.1],
+    [11, 5, -0.1, 0.5, -0.1, 0],
+    [11, 6, -0.6, -0.3, 0, 0],
+    [11, 7, -0.1, -1.2, 0, 0.1],
+    [11, 8, 1.1, -1.7, -0.1, 0],
+    [11, 9, -1, -2.9, -0.1, 0],
+    [11, 10, -0.2, -1.8, -0.1, 0],
+    [11, 11, 2.6, -2.3, -0.1, 0],
+    [12, 0, -2, 0, 0, 0],
+    [12, 1, -0.2, -1.3, 0, 0],
+    [12, 2, 0.3, 0.7, 0, 0],
+    [12, 3, 1.2, 1, 0, -0.1],
+    [12, 4, -1.3, -1.4, 0, 0.1],
+    [12, 5, 0.6, 0, 0, 0],
+    [12, 6, 0.6, 0.6, 0.1, 0],
+    [12, 7, 0.5, -0.1, 0, 0],
+    [12, 8, -0.1, 0.8, 0, 0],
+    [12, 9, -0.4, 0.1, 0, 0],
+    [12, 10, -0.2, -1, -0.1, 0],
+    [12, 11, -1.3, 0.1, 0, 0],
+    [12, 12, -0.7, 0.2, -0.1, -0.1]
+];
+
+// WGS-84 ellipsoid and the geomagnetic reference radius
+const WGS84_A_KM = 6378.137;
+const WGS84_F = 1 / 298.257223563;
+const GEOMAGNETIC_RADIUS_KM = 6371.2;
+const FT_TO_KM = 0.0003048;
+
+/**
+ * Converts a date to a decimal year (e.g. 2025-07-02 -> 2025.5).
+ * @param {Date} date - The date.
+ * @returns {number} The decimal year.
+ */
+function toDecimalYear(date) {
+    const year = date.getUTCFullYear();
+    const start = Date.UTC(year, 0, 1);
+    const end = Date.UTC(year + 1, 0, 1);
+    return year + (date.getTime() - start) / (end - start);
+}
+
+/**
+ * Computes the magnetic declination (variation) at a point with the bundled World Magnetic Model.
+ *
+ * @param {number} lat - Geodetic latitude in degrees.
+ * @param {number} lon - Longitude in degrees (east positive).
+ * @param {number} altitudeFt - Altitude above mean sea level in feet.
+ * @param {Date} date - The date the variation is computed for.
+ * @returns {number} The declination in degrees, east positive (e.g. 0.8 for 0.8°E).
+ */
+export function computeMagneticDeclination(lat, lon, altitudeFt = 0, date = new Date()) {
+    const deg = Math.PI / 180;
+    const dt = toDecimalYear(date) - WMM_EPOCH;
+    const heightKm = altitudeFt * FT_TO_KM;
+
+    // 1. Geodetic to geocentric spherical coordinates
+    const latRad = lat * deg;
+    const lonRad = lon * deg;
+    const e2 = WGS84_F * (2 - WGS84_F);
+    const sinLat = Math.sin(latRad);
+    const rc = WGS84_A_KM / Math.sqrt(1 - e2 * sinLat * sinLat);
+    const p = (rc + heightKm) * Math.cos(latRad);
+    const z = (rc * (1 - e2) + heightKm) * sinLat;
+    const r = Math.sqrt(p * p + z * z);
+    const geocentricLat = Math.asin(z / r);
+
+    // 2. Schmidt semi-normalized associated Legendre functions and their colatitude derivatives
+    const x = Math.sin(geocentricLat); // cos(colatitude)
+    const s = Math.cos(geocentricLat); // sin(colatitude)
+    const P = [];
+    const dP = [];
+    for (let n = 0; n <= WMM_MAX_DEGREE; n++) {
+        P.push(new Array(n + 1).fill(0));
+        dP.push(new Array(n + 1).fill(0));
+    }
+    P[0][0] = 1;
+    for (let n = 1; n <= WMM_MAX_DEGREE; n++) {
+        for (let m = 0; m <= n; m++) {
+            if (n === m) {
+                const k = n === 1 ? 1 : Math.sqrt((2 * n - 1) / (2 * n));
+                P[n][m] = k * s * P[n - 1][m - 1];
+                dP[n][m] = k * (s * dP[n - 1][m - 1] + x * P[n - 1][m - 1]);
+            } else {
+                const k1 = Math.sqrt(n * n - m * m);
+                const k2 = n - 2 >= m ? Math.sqrt((n - 1) * (n - 1) - m * m) : 0;
+                const pPrev2 = n - 2 >= m ? P[n - 2][m] : 0;
+                const dPPrev2 = n - 2 >= m ? dP[n - 2][m] : 0;
+                P[n][m] = ((2 * n - 1) * x * P[n - 1][m] - k2 * pPrev2) / k1;
+                dP[n][m] = ((2 * n - 1) * (x * dP[n - 1][m] - s * P[n - 1][m]) - k2 * dPPrev2) / k1;
+            }
+        }
+    }
+
+    // 3. Field components in the geocentric frame (north and east)
+    let north = 0;
+    let east = 0;
+    let down = 0;
+    for (const [n, m, g0, h0, dg, dh] of WMM_COEFFICIENTS) {
+        const g = g0 + dt * dg;
+        const h = h0 + dt * dh;
+        const ratio = Math.pow(GEOMAGNETIC_RADIUS_KM / r, n + 2);
+        const cosM = Math.cos(m * lonRad);
+        const sinM = Math.sin(m * lonRad);
+        north += ratio * (g * cosM + h * sinM) * dP[n][m];
+        east += ratio * m * (g * sinM - h * cosM) * P[n][m] / s;
+        down -= ratio * (n + 1) * (g * cosM + h * sinM) * P[n][m];
+    }
+
+    // 4. Rotate north back to the geodetic frame; the declination is the angle from true north
+    const psi = geocentricLat - latRad;
+    const northGeodetic = north * Math.cos(psi) - down * Math.sin(psi);
+
+    return Math.atan2(east, northGeodetic) / deg;
+}
+
+/**
+ * Computes the magnetic variation at an airport.
+ * @param {object} airport - The airport profile (coordinates and elevation).
+ * @param {Date} date - The date the variation is computed for.
+ * @returns {{declination: number, direction: string, model: string}} The variation rounded to 0.1°
+ * and its direction ("E" or "W").
+ */
+export function getMagneticVariation(airport, date = new Date()) {
+    const declination = computeMagneticDeclination(
+        airport.coordinates.lat, airport.coordinates.lon, airport.elevation_ft || 0, date
+    );
+    return {
+        declination: Math.round(declination * 10) / 10,
+        direction: declination >= 0 ? "E" : "W",
+        model: WMM_NAME
+    };
+}
+
+/**
+ * Converts a true direction to magnetic (magnetic = true - east variation), keeping the 1-360 convention.
+ * @param {number | null} trueDirection - The true direction in degrees.
+ * @param {number} declination - The declination in degrees, east positive.
+ * @returns {number | null} The magnetic direction rounded to the degree, or null without a direction.
+ */
+export function trueToMagnetic(trueDirection, declination) {
+    if (trueDirection == null || trueDirection === "" || isNaN(trueDirection)) {
+        return null;
+    }
+    const magnetic = Math.round(((Number(trueDirection) - declination) % 360 + 360) % 360);
+    return magnetic === 0 ? 360 : magnetic;
+}
+
+/**
+ * Rounds a wind direction to the nearest ten degrees, as the ATIS and METAR report it (north is 360).
+ * @param {number | null} direction - The direction in degrees.
+ * @returns {number | null} The rounded direction (10-360), or null without a direction.
+ */
+export function roundDirectionToTen(direction) {
+    if (direction == null || isNaN(direction)) {
+        return null;
+    }
+    return (Math.round(direction / 10) * 10) % 360 || 360;
+}
+// --- END WORLD MAGNETIC MODEL ---
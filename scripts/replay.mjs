@@ -0,0 +1,188 @@
+// Replays captured ATIS requests offline and compares the result with the captured response.
+//
+// Usage:
+//   npx wrangler kv key get --binding=KV_ATIS "LERM:capture:2025-10-19T15:40:02.118Z" > capture.json
+//   node scripts/replay.mjs capture.json [more captures...] [--show]
+//
+// Requires Node.js 20.19+ or 22.7+: the functions are ES modules without a package.json declaring
+// their type, so Node has to detect it (from 20.10 on, earlier versions take --experimental-detect-module).
+//
+// Each capture (see functions/capture.js) is replayed through the whole onRequest pipeline with the
+// clock frozen at the capture time, an in-memory KV seeded with the captured state and every upstream
+// request answered from the recorded exchanges. The exit code is 1 when any replay differs, so a
+// capture of a bad ATIS becomes a regression case once the fix makes it match the expected output.
+//
+// The replay runs in UTC, like the Workers runtime: AEMET times without an offset ('fint', the prediction
+// 'fecha') are parsed as local time, so another host timezone would change the observation ages and hours.
+import { readFileSync } from 'node:fs';
+
+// Set before the functions are loaded, hence the dynamic imports
+process.env.TZ = "UTC";
+const { createReplayFetch } = await import('../functions/capture.js');
+const { onRequest } = await import('../functions/atis.js');
+
+// Fields of the JSON response compared with the capture (timestamps of the run itself are left out)
+const REGRESSION_FIELDS = [
+    "fullReport", "datisReport", "metarReport", "transitionLevel", "runway",
+    "dataAge", "fieldAltitudes", "atisInfo.identifier", "atisInfo.changeReasons"
+];
+
+const RealDate = Date;
+
+/**
+ * Freezes the clock: Date.now() and new Date() return the given time until the returned function is called.
+ */
+function freezeClock(isoTime) {
+    const frozenMs = RealDate.parse(isoTime);
+    class FrozenDate extends RealDate {
+        constructor(...args) {
+            super(...(args.length > 0 ? args : [frozenMs]));
+        }
+        static now() {
+            return frozenMs;
+        }
+    }
+    globalThis.Date = FrozenDate;
+    return () => { globalThis.Date = RealDate; };
+}
+
+/**
+ * An in-memory KV namespace with the subset of the Workers KV API the pipeline uses.
+ */
+function createMemoryKV(entries) {
+    const store = new Map(Object.entries(entries || {}));
+    return {
+        async get(key, type) {
+            const value = store.has(key) ? store.get(key) : null;
+            return value != null && type === "json" ? JSON.parse(value) : value;
+        },
+        async put(key, value) {
+            store.set(key, String(value));
+        },
+        async delete(key) {
+            store.delete(key);
+        },
+        async list({ prefix = "" } = {}) {
+            const keys = [...store.keys()].filter(key => key.startsWith(prefix)).sort();
+            return { keys: keys.map(name => ({ name })), list_complete: true };
+        }
+    };
+}
+
+function getPath(object, path) {
+    return path.split(".").reduce((value, key) => (value == null ? undefined : value[key]), object);
+}
+
+/**
+ * Lists the differences between the captured and the replayed response bodies.
+ * @returns {Array<string>} Human-readable differences, empty when they match.
+ */
+function diffResponses(expectedBody, actualBody) {
+    let expected, actual;
+    try {
+        expected = JSON.parse(expectedBody);
+        actual = JSON.parse(actualBody);
+    } catch {
+        // Text formats (METAR, SSML) are compared as a whole
+        return expectedBody === actualBody ? [] : [diffText("body", expectedBody, actualBody)];
+    }
+
+    const differences = [];
+    for (const field of REGRESSION_FIELDS) {
+        const expectedValue = getPath(expected, field);
+        const actualValue = getPath(actual, field);
+        if (JSON.stringify(expectedValue) !== JSON.stringify(actualValue)) {
+            differences.push(typeof expectedValue === "string" && typeof actualValue === "string"
+                ? diffText(field, expectedValue, actualValue)
+                : `${field}:\n  - ${JSON.stringify(expectedValue)}\n  + ${JSON.stringify(actualValue)}`);
+        }
+    }
+    return differences;
+}
+
+/**
+ * Line diff of two texts (longest common subsequence): removed lines with '-', added lines with '+'.
+ */
+function diffText(label, expected, actual) {
+    const a = expected.split("\n");
+    const b = actual.split("\n");
+    // lcs[i][j]: length of the longest common subsequence of a[i..] and b[j..]
+    const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
+
+    const lines = [`${label}:`];
+    let i = 0;
+    let j = 0;
+    while (i < a.length || j < b.length) {
+        if (i < a.length && j < b.length && a[i] === b[j]) {
+            i++;
+            j++;
+        } else if (j >= b.length || (i < a.length && lcs[i + 1][j] >= lcs[i][j + 1])) {
+            lines.push(`  - ${a[i++]}`);
+        } else {
+            lines.push(`  + ${b[j++]}`);
+        }
+    }
+    return lines.join("\n");
+}
+
+/**
+ * Replays one capture through onRequest.
+ * @returns {Promise<{body: string, status: number}>} The replayed response.
+ */
+async function replay(capture) {
+    const realFetch = globalThis.fetch;
+    const unfreezeClock = freezeClock(capture.capturedAt);
+    globalThis.fetch = createReplayFetch(capture.exchanges);
+    try {
+        const env = {
+            KV_ATIS: createMemoryKV(capture.kv),
+            // The recorded exchanges don't need real keys; the placeholder of the redacted ones makes
+            // the request bodies identical to the recorded ones (the Windy key travels in the body)
+            AEMET_API_KEY: "<redacted>",
+            WINDY_API_KEY: "<redacted>"
+        };
+        // Without '?capture=1' the replay itself is not captured again
+        const url = new URL(capture.request.url);
+        url.searchParams.delete("capture");
+        const response = await onRequest({ request: new Request(url, { method: capture.request.method }), env: env });
+        return { status: response.status, body: await response.text() };
+    } finally {
+        globalThis.fetch = realFetch;
+        unfreezeClock();
+    }
+}
+
+const args = process.argv.slice(2);
+const show = args.includes("--show");
+const files = args.filter(arg => !arg.startsWith("--"));
+if (files.length === 0) {
+    console.error("Usage: node scripts/replay.mjs <capture.json>... [--show]");
+    process.exit(2);
+}
+
+let failures = 0;
+for (const file of files) {
+    const capture = JSON.parse(readFileSync(file, "utf8"));
+    const result = await replay(capture);
+    const differences = diffResponses(capture.response.body, result.body);
+    if (result.status !== capture.response.status) {
+        differences.unshift(`status:\n  - ${capture.response.status}\n  + ${result.status}`);
+    }
+
+    if (differences.length === 0) {
+        console.log(`PASS ${file} (${capture.airport} ${capture.capturedAt})`);
+    } else {
+        failures++;
+        console.log(`FAIL ${file} (${capture.airport} ${capture.capturedAt})\n${differences.join("\n")}`);
+    }
+    if (show) {
+        console.log(result.body);
+    }
+}
+
+process.exit(failures > 0 ? 1 : 0);